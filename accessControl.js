@@ -0,0 +1,119 @@
+const fhirClient = require('./fhirClient');
+const { AuthorizationError } = require('./errors');
+const { ROLES } = require('./callerAuth');
+
+// Resources every authenticated caller may read: the provider directory
+const DIRECTORY_RESOURCES = ['PractitionerRole', 'Organization', 'Practitioner'];
+
+const isAdmin = caller => caller.roles.includes(ROLES.ADMIN);
+
+// The ServiceRequest element that links a caller to referral data: referrers see the referrals
+// they requested, community-based organization staff the referrals their organization performs
+function referralLink(caller) {
+    if (caller.roles.includes(ROLES.REFERRER)) {
+        if (!caller.practitionerId) {
+            throw new AuthorizationError('Referrer token does not identify a Practitioner');
+        }
+        return { element: 'requester', reference: `Practitioner/${caller.practitionerId}` };
+    }
+    if (caller.roles.includes(ROLES.CBO_STAFF)) {
+        if (!caller.organizationId) {
+            throw new AuthorizationError('Organization staff token does not identify an Organization');
+        }
+        return { element: 'performer', reference: `Organization/${caller.organizationId}` };
+    }
+    throw new AuthorizationError('Caller has no role with access to referral data');
+}
+
+// Search parameters that restrict a search to the resources the caller is linked to.
+// Admins and directory resources are not restricted.
+function scopedSearchParams(caller, resourceType) {
+    if (isAdmin(caller) || DIRECTORY_RESOURCES.includes(resourceType)) {
+        return {};
+    }
+    const { element, reference } = referralLink(caller);
+    switch (resourceType) {
+        case 'ServiceRequest':
+            return { [element]: reference };
+        case 'Task':
+            return { [`focus:ServiceRequest.${element}`]: reference };
+        case 'Patient':
+            return { [`_has:ServiceRequest:subject:${element}`]: reference };
+        default:
+            throw new AuthorizationError(`Caller may not read ${resourceType} resources`);
+    }
+}
+
+// Whether a Task or ServiceRequest change event (see notifications.js) concerns a referral the caller is linked to
+function eventVisibleTo(caller, event) {
+    if (isAdmin(caller)) {
+        return true;
+    }
+    const { element, reference } = referralLink(caller);
+    return element === 'requester' ? event.requester === reference : event.organizations.includes(reference);
+}
+
+// Reject searches a non-admin caller could use to reach resources outside its scope
+function assertSearchAllowed(caller, params) {
+    if (!isAdmin(caller) && params._revinclude !== undefined) {
+        throw new AuthorizationError('_revinclude is only available to administrators');
+    }
+}
+
+// Search parameters of the other ways a caller can be linked to a single resource: referrers are also
+// linked to the patients they are the general practitioner of, such as the patients they created, so
+// they can record consent and screenings before the first referral
+function additionalLinks(caller, resourceType) {
+    if (resourceType === 'Patient' && caller.roles.includes(ROLES.REFERRER) && caller.practitionerId) {
+        return [{ 'general-practitioner': `Practitioner/${caller.practitionerId}` }];
+    }
+    return [];
+}
+
+// Make sure the caller is linked to the resource, by searching for it within the caller's scope
+async function assertResourceAccess(fhirServerURL, accessToken, caller, resourceType, id) {
+    if (isAdmin(caller) || DIRECTORY_RESOURCES.includes(resourceType)) {
+        return;
+    }
+    for (const linkParams of [scopedSearchParams(caller, resourceType), ...additionalLinks(caller, resourceType)]) {
+        const response = await fhirClient.get(`${fhirServerURL}/${resourceType}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            params: { '_id': id, ...linkParams, '_summary': 'count' }
+        });
+        if (response.data.total) {
+            return;
+        }
+    }
+    throw new AuthorizationError(`Caller is not linked to ${resourceType}/${id}`);
+}
+
+// Ids to check per search when filtering many resources, keeping the search URL short
+const ACCESS_CHECK_BATCH = 100;
+
+// The ids, of those given, of the resources the caller is linked to
+async function accessibleIds(fhirServerURL, accessToken, caller, resourceType, ids) {
+    if (isAdmin(caller) || DIRECTORY_RESOURCES.includes(resourceType)) {
+        return new Set(ids);
+    }
+    const accessible = new Set();
+    for (let start = 0; start < ids.length; start += ACCESS_CHECK_BATCH) {
+        const batch = ids.slice(start, start + ACCESS_CHECK_BATCH);
+        for (const linkParams of [scopedSearchParams(caller, resourceType), ...additionalLinks(caller, resourceType)]) {
+            const response = await fhirClient.get(`${fhirServerURL}/${resourceType}`, {
+                headers: { 'Authorization': `Bearer ${accessToken}` },
+                params: { '_id': batch.join(','), ...linkParams, '_elements': 'id', '_count': batch.length }
+            });
+            (response.data.entry || []).forEach(entry => accessible.add(entry.resource.id));
+        }
+    }
+    return accessible;
+}
+
+module.exports = {
+    isAdmin,
+    scopedSearchParams,
+    assertSearchAllowed,
+    eventVisibleTo,
+    assertResourceAccess,
+    accessibleIds
+};
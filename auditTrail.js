@@ -0,0 +1,222 @@
+require('dotenv').config();
+
+const fhirClient = require('./fhirClient');
+const { logger } = require('./logger');
+
+// Audit events are queued and written to the FHIR server of the request's tenant in batch Bundles,
+// so auditing never adds latency to the request being audited
+const FLUSH_INTERVAL_MS = Number(process.env.AUDIT_FLUSH_INTERVAL_MS || 5000);
+const BATCH_SIZE = Number(process.env.AUDIT_BATCH_SIZE || 50);
+// Events kept per tenant while its FHIR server is unreachable; beyond this the oldest are dropped
+const MAX_QUEUE_SIZE = Number(process.env.AUDIT_MAX_QUEUE_SIZE || 10000);
+// Cap on entities recorded for a single request (e.g. a large search result)
+const MAX_ENTITIES = 200;
+
+// Resource types whose access is recorded
+const PHI_RESOURCES = ['Patient', 'ServiceRequest', 'Task', 'QuestionnaireResponse', 'Observation', 'Condition', 'Consent', 'Communication'];
+
+// FHIR restful interaction recorded for each audit action
+const SUBTYPES = {
+    C: 'create',
+    R: 'read',
+    U: 'update'
+};
+
+// Entity types of AuditEvent: patients are persons, everything else a system object
+const PERSON_ENTITY = { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '1', display: 'Person' };
+const SYSTEM_OBJECT_ENTITY = { system: 'http://terminology.hl7.org/CodeSystem/audit-entity-type', code: '2', display: 'System Object' };
+
+// Tenant id -> { tenant, events, flushing }
+const queues = new Map();
+
+// Collect "Type/id" references of the PHI resources in a response body, including the Patient
+// each ServiceRequest, Task or Consent is about, so the history of a patient covers its referrals too
+function collectReferences(body, references = new Set()) {
+    if (!body || typeof body !== 'object' || references.size >= MAX_ENTITIES) {
+        return references;
+    }
+    if (Array.isArray(body)) {
+        body.forEach(item => collectReferences(item, references));
+        return references;
+    }
+    if (body.resourceType === 'Bundle') {
+        return collectReferences(body.entry, references);
+    }
+    if (body.resourceType) {
+        if (PHI_RESOURCES.includes(body.resourceType) && body.id) {
+            references.add(`${body.resourceType}/${body.id}`);
+            const patient = body.subject || body.for || body.patient;
+            if (patient && /^Patient\//.test(patient.reference)) {
+                references.add(patient.reference);
+            }
+        }
+        return references;
+    }
+    Object.values(body).forEach(value => collectReferences(value, references));
+    return references;
+}
+
+// Outcome codes of AuditEvent: success, minor failure (caller error) or serious failure
+const outcomeFor = statusCode => {
+    if (statusCode < 400) {
+        return '0';
+    }
+    return statusCode < 500 ? '4' : '8';
+};
+
+// Build the AuditEvent for one request. descriptions describe data sent that has no resource references.
+function createAuditEvent(req, res, action, references, descriptions = []) {
+    const caller = req.caller || {};
+    const agent = {
+        who: {
+            identifier: { value: caller.subject || 'anonymous' },
+            display: caller.name
+        },
+        requestor: true,
+        role: (caller.roles || []).map(role => ({ text: role })),
+        network: { address: req.ip, type: '2' }
+    };
+    if (caller.practitionerId) {
+        agent.who.reference = `Practitioner/${caller.practitionerId}`;
+    }
+
+    const entity = [...references].map(reference => ({
+        what: { reference },
+        type: reference.startsWith('Patient/') ? PERSON_ENTITY : SYSTEM_OBJECT_ENTITY
+    }));
+    descriptions.forEach(description => entity.push({ type: SYSTEM_OBJECT_ENTITY, description }));
+    if (Object.keys(req.query).length > 0) {
+        entity.push({
+            type: SYSTEM_OBJECT_ENTITY,
+            description: `${req.method} ${req.path}`,
+            query: Buffer.from(new URLSearchParams(req.query).toString()).toString('base64')
+        });
+    }
+
+    return {
+        resourceType: 'AuditEvent',
+        type: { system: 'http://terminology.hl7.org/CodeSystem/audit-event-type', code: 'rest', display: 'RESTful Operation' },
+        subtype: [{ system: 'http://hl7.org/fhir/restful-interaction', code: SUBTYPES[action] }],
+        action,
+        recorded: new Date().toISOString(),
+        outcome: outcomeFor(res.statusCode),
+        outcomeDesc: res.statusCode < 400 ? undefined : `HTTP ${res.statusCode}`,
+        agent: [agent],
+        source: {
+            observer: { display: 'ACLeap Backend Service' },
+            type: [{ system: 'http://terminology.hl7.org/CodeSystem/security-source-type', code: '4', display: 'Application Server' }]
+        },
+        entity
+    };
+}
+
+// Drop the oldest events of a queue beyond MAX_QUEUE_SIZE
+function trimQueue(queue) {
+    const dropped = queue.events.length - MAX_QUEUE_SIZE;
+    if (dropped > 0) {
+        queue.events.splice(0, dropped);
+        logger.error(`Audit queue full, dropped ${dropped} AuditEvents`, { tenant: queue.tenant.id });
+    }
+}
+
+// Write a tenant's queued events to its FHIR server as one batch Bundle. Events the server did not
+// store, because the whole batch or their own entry failed, go back in the queue.
+async function flushQueue(queue) {
+    if (queue.flushing || queue.events.length === 0) {
+        return queue.flushing;
+    }
+    const events = queue.events.splice(0, BATCH_SIZE);
+    queue.flushing = (async () => {
+        try {
+            const accessToken = await queue.tenant.getToken();
+            const response = await fhirClient.post(queue.tenant.fhirServerURL, {
+                resourceType: 'Bundle',
+                type: 'batch',
+                entry: events.map(event => ({ resource: event, request: { method: 'POST', url: 'AuditEvent' } }))
+            }, {
+                headers: { 'Content-Type': 'application/fhir+json', 'Authorization': `Bearer ${accessToken}` }
+            });
+            const entries = response.data.entry || [];
+            const failed = events.filter((event, index) => !/^2\d\d/.test(String(((entries[index] || {}).response || {}).status)));
+            if (failed.length > 0) {
+                logger.error('FHIR server refused some AuditEvents, will retry', { tenant: queue.tenant.id, events: failed.length });
+                queue.events.unshift(...failed);
+                trimQueue(queue);
+            }
+        } catch (error) {
+            logger.error('Failed to write AuditEvents, will retry', { tenant: queue.tenant.id, events: events.length, error });
+            queue.events.unshift(...events);
+            trimQueue(queue);
+        } finally {
+            queue.flushing = null;
+        }
+    })();
+    return queue.flushing;
+}
+
+// Write the queued events of every tenant
+const flush = () => Promise.all([...queues.values()].map(flushQueue));
+
+function enqueue(tenant, event) {
+    if (!queues.has(tenant.id)) {
+        queues.set(tenant.id, { tenant, events: [], flushing: null });
+    }
+    const queue = queues.get(tenant.id);
+    queue.events.push(event);
+    trimQueue(queue);
+    if (queue.events.length >= BATCH_SIZE) {
+        flushQueue(queue);
+    }
+}
+
+setInterval(flush, FLUSH_INTERVAL_MS).unref();
+
+// Express middleware recording an AuditEvent with the given action (C, R or U) once the response is sent.
+// Entities are the resources named in the route parameters plus the PHI resources in the response body.
+// Responses not sent with res.json name what they send with auditResources and auditDescription.
+const audit = action => (req, res, next) => {
+    const references = new Set();
+    const descriptions = [];
+    res.locals.auditReferences = references;
+    res.locals.auditDescriptions = descriptions;
+    const json = res.json.bind(res);
+    res.json = body => {
+        collectReferences(body, references);
+        return json(body);
+    };
+
+    res.on('finish', () => {
+        if (req.params.patientId) {
+            references.add(`Patient/${req.params.patientId}`);
+        }
+        if (req.params.taskId) {
+            references.add(`Task/${req.params.taskId}`);
+        }
+        // Requests refused before a tenant was chosen read no tenant's data, so there is nowhere to record them
+        if (req.tenant) {
+            enqueue(req.tenant, createAuditEvent(req, res, action, references, descriptions));
+        }
+    });
+    next();
+};
+
+// Record the PHI resources of a response written without res.json (e.g. an NDJSON stream) on its AuditEvent
+function auditResources(res, resources) {
+    if (res.locals.auditReferences) {
+        collectReferences(resources, res.locals.auditReferences);
+    }
+}
+
+// Record a description of data sent without resource references (e.g. an export file) on the response's AuditEvent
+function auditDescription(res, description) {
+    if (res.locals.auditDescriptions) {
+        res.locals.auditDescriptions.push(description);
+    }
+}
+
+module.exports = {
+    audit,
+    auditResources,
+    auditDescription,
+    flush
+};
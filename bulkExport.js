@@ -0,0 +1,309 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { fetchAllPages } = require('./fhirPaging');
+const { ServiceError } = require('./errors');
+const { logger } = require('./logger');
+const { CODED_DEMOGRAPHIC_EXTENSIONS } = require('./patientResource');
+const metrics = require('./metrics');
+
+// Asynchronous bulk export of referral data as NDJSON, following the FHIR Bulk Data kick-off, status
+// poll and download pattern. Each job writes one file per resource type to its own directory under
+// EXPORT_DIR. Jobs are kept in memory; their files are deleted RETENTION_HOURS after they finish.
+const EXPORT_DIR = path.resolve(process.env.BULK_EXPORT_DIR || 'exports');
+const RETENTION_HOURS = Number(process.env.BULK_EXPORT_RETENTION_HOURS || 24);
+// Seconds a client is asked to wait between status polls
+const POLL_SECONDS = 5;
+
+const EXPORT_TYPES = ['Patient', 'ServiceRequest', 'Task'];
+const OUTPUT_FORMATS = ['application/fhir+ndjson', 'application/ndjson', 'ndjson'];
+const FHIR_INSTANT = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+const jobs = new Map();
+
+const exportJobs = metrics.counter('bulk_export_jobs_total', 'Bulk export jobs finished, by outcome (completed, failed or cancelled)', ['outcome']);
+
+// Patient elements that name or contact the patient, dropped when de-identifying
+const PATIENT_IDENTIFYING = ['identifier', 'name', 'telecom', 'address', 'photo', 'contact', 'text'];
+
+// A CodeableConcept without its free text, or undefined when nothing is left coded
+function codedOnly(concept) {
+    if (!concept) {
+        return undefined;
+    }
+    const { text, ...coded } = concept;
+    return (coded.coding || []).length > 0 ? coded : undefined;
+}
+
+// Only the extensions known to be coded. Others, such as the athena gender identity and sexual orientation,
+// can hold free text. The text of race and ethnicity is what was typed, so it becomes the coded display.
+function codedExtensions(extensions = []) {
+    return extensions
+        .filter(extension => CODED_DEMOGRAPHIC_EXTENSIONS.includes(extension.url))
+        .map(extension => {
+            if (!extension.extension) {
+                return extension;
+            }
+            const coded = extension.extension.filter(sub => sub.url !== 'text');
+            const coding = (coded.find(sub => sub.url === 'detailed') || coded.find(sub => sub.url === 'ombCategory') || {}).valueCoding;
+            return { ...extension, extension: coding ? [...coded, { url: 'text', valueString: coding.display || coding.code }] : coded };
+        });
+}
+
+// Task.input and Task.output without free text: string values are dropped, references lose their display
+const codedParameters = parameters => parameters
+    .filter(parameter => parameter.valueString === undefined && parameter.valueMarkdown === undefined)
+    .map(({ type, valueReference, ...rest }) => ({
+        ...rest,
+        type: codedOnly(type),
+        ...(valueReference ? { valueReference: { reference: valueReference.reference } } : {})
+    }));
+
+// Copy of resource with the given elements replaced, dropping those that end up undefined or empty
+function replaceElements(resource, replacements) {
+    const result = { ...resource };
+    Object.entries(replacements).forEach(([element, value]) => {
+        if (value === undefined || (Array.isArray(value) && value.length === 0)) {
+            delete result[element];
+        } else {
+            result[element] = value;
+        }
+    });
+    return result;
+}
+
+const ifPresent = (value, transform) => (value === undefined ? undefined : transform(value));
+
+// De-identification per resource type: names, exact birth dates, contact details and free text
+// (narrative, notes, CodeableConcept text, string values and extensions not known to be coded) are
+// removed. Resource ids are kept so Tasks and ServiceRequests still link to their Patient.
+const DEIDENTIFY = {
+    Patient: patient => {
+        const result = replaceElements(
+            Object.fromEntries(Object.entries(patient).filter(([element]) => !PATIENT_IDENTIFYING.includes(element))),
+            {
+                extension: codedExtensions(patient.extension),
+                modifierExtension: undefined,
+                communication: ifPresent(patient.communication, communication => communication
+                    .map(({ language, ...rest }) => ({ ...rest, language: codedOnly(language) }))
+                    .filter(entry => entry.language))
+            }
+        );
+        if (patient.birthDate) {
+            result.birthDate = patient.birthDate.slice(0, 4);
+        }
+        const states = (patient.address || []).map(address => address.state).filter(Boolean);
+        if (states.length > 0) {
+            result.address = [{ state: states[0] }];
+        }
+        if (patient.deceasedDateTime) {
+            delete result.deceasedDateTime;
+            result.deceasedBoolean = true;
+        }
+        return result;
+    },
+    ServiceRequest: serviceRequest => replaceElements(serviceRequest, {
+        text: undefined,
+        note: undefined,
+        patientInstruction: undefined,
+        extension: codedExtensions(serviceRequest.extension),
+        modifierExtension: undefined,
+        code: codedOnly(serviceRequest.code),
+        category: ifPresent(serviceRequest.category, category => category.map(codedOnly).filter(Boolean)),
+        reasonCode: ifPresent(serviceRequest.reasonCode, reasonCode => reasonCode.map(codedOnly).filter(Boolean)),
+        subject: ifPresent(serviceRequest.subject, subject => ({ reference: subject.reference }))
+    }),
+    Task: task => replaceElements(task, {
+        text: undefined,
+        note: undefined,
+        description: undefined,
+        extension: codedExtensions(task.extension),
+        modifierExtension: undefined,
+        code: codedOnly(task.code),
+        businessStatus: codedOnly(task.businessStatus),
+        statusReason: codedOnly(task.statusReason),
+        input: ifPresent(task.input, codedParameters),
+        output: ifPresent(task.output, codedParameters),
+        for: ifPresent(task.for, patient => ({ reference: patient.reference }))
+    })
+};
+
+// Read and check the kick-off parameters (_type, _since, _outputFormat and deidentify)
+function parseExportRequest(query, prefer) {
+    if (!/respond-async/.test(prefer || '')) {
+        throw new ServiceError('Bulk export requires the header Prefer: respond-async', { status: 400, code: 'respond_async_required' });
+    }
+    if (query._outputFormat !== undefined && !OUTPUT_FORMATS.includes(query._outputFormat)) {
+        throw new ServiceError('_outputFormat must be application/fhir+ndjson', { status: 400, code: 'invalid_output_format' });
+    }
+    const types = query._type ? String(query._type).split(',').map(type => type.trim()) : EXPORT_TYPES;
+    const unknown = types.filter(type => !EXPORT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new ServiceError(`_type may only list ${EXPORT_TYPES.join(', ')}; not ${unknown.join(', ')}`, { status: 400, code: 'invalid_export_type' });
+    }
+    const since = query._since;
+    if (since !== undefined && (!FHIR_INSTANT.test(since) || Number.isNaN(Date.parse(since)))) {
+        throw new ServiceError('_since must be a FHIR instant such as 2024-01-01T00:00:00Z', { status: 400, code: 'invalid_since' });
+    }
+    if (query.deidentify !== undefined && !['true', 'false'].includes(query.deidentify)) {
+        throw new ServiceError('deidentify must be true or false', { status: 400, code: 'invalid_deidentify' });
+    }
+    return { types: [...new Set(types)], since, deidentify: query.deidentify === 'true' };
+}
+
+// Write a line to the file stream, waiting for it to drain when its buffer is full
+const writeLine = (stream, line) => (stream.write(line) ? Promise.resolve() : new Promise(resolve => stream.once('drain', resolve)));
+
+const closeStream = stream => new Promise((resolve, reject) => {
+    stream.once('error', reject);
+    stream.end(resolve);
+});
+
+// Export one resource type to <type>.ndjson in the job directory and return the number of resources written
+async function exportType(fhirServerURL, accessToken, job, type) {
+    const file = path.join(job.directory, `${type}.ndjson`);
+    const stream = fs.createWriteStream(file, { mode: 0o600 });
+    const params = job.since ? { '_lastUpdated': `gt${job.since}` } : {};
+    let count = 0;
+    try {
+        await fetchAllPages(fhirServerURL, accessToken, type, { params }, async page => {
+            for (const entry of page.entry) {
+                if (entry.resource.resourceType !== type) {
+                    continue;
+                }
+                const resource = job.deidentify ? DEIDENTIFY[type](entry.resource) : entry.resource;
+                await writeLine(stream, `${JSON.stringify(resource)}\n`);
+                count += 1;
+            }
+            job.progress = `Exported ${count} ${type} resources`;
+            return job.status === 'in-progress';
+        });
+    } finally {
+        await closeStream(stream);
+    }
+    return count;
+}
+
+async function runExport(fhirServerURL, accessToken, job) {
+    try {
+        await fs.promises.mkdir(job.directory, { recursive: true, mode: 0o700 });
+        for (const type of job.types) {
+            const count = await exportType(fhirServerURL, accessToken, job, type);
+            if (job.status !== 'in-progress') {
+                return;
+            }
+            // Types without resources get no output file, as the Bulk Data spec asks
+            if (count > 0) {
+                job.output.push({ type, file: `${type}.ndjson`, count });
+            } else {
+                await fs.promises.rm(path.join(job.directory, `${type}.ndjson`), { force: true });
+            }
+        }
+        job.status = 'completed';
+        job.progress = 'Completed';
+    } catch (error) {
+        if (job.status !== 'in-progress') {
+            return;
+        }
+        logger.error('Bulk export failed', { job: job.id, error });
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        job.completedAt = Date.now();
+        exportJobs.inc({ outcome: job.status });
+        if (job.status !== 'completed') {
+            // Partial files are of no use; a cancelled job may also have been deleted while they were being written
+            await fs.promises.rm(job.directory, { recursive: true, force: true });
+        }
+    }
+}
+
+// Start an export job for the caller and return it; the export continues in the background
+function startExport(fhirServerURL, accessToken, owner, requestUrl, { types, since, deidentify }) {
+    const id = crypto.randomUUID();
+    const job = {
+        id,
+        owner,
+        request: requestUrl,
+        types,
+        since,
+        deidentify,
+        status: 'in-progress',
+        progress: 'Starting',
+        transactionTime: new Date().toISOString(),
+        directory: path.join(EXPORT_DIR, id),
+        output: [],
+        error: null,
+        completedAt: null
+    };
+    jobs.set(id, job);
+    runExport(fhirServerURL, accessToken, job);
+    logger.info('Bulk export started', { job: id, types, since, deidentify });
+    return job;
+}
+
+// The caller's job; other callers' jobs are reported as not found
+function getJob(id, owner) {
+    const job = jobs.get(id);
+    if (!job || job.owner !== owner) {
+        throw new ServiceError(`Export job '${id}' not found`, { status: 404, code: 'not_found' });
+    }
+    return job;
+}
+
+// Bulk Data completion manifest of a finished job; file urls are built on baseUrl
+const manifest = (job, baseUrl) => ({
+    transactionTime: job.transactionTime,
+    request: job.request,
+    requiresAccessToken: true,
+    output: job.output.map(({ type, file, count }) => ({ type, url: `${baseUrl}/$export-file/${job.id}/${file}`, count })),
+    error: []
+});
+
+// Path of one of the job's output files, only for completed jobs and files listed in their manifest
+function outputFile(job, file) {
+    if (job.status !== 'completed' || !job.output.some(output => output.file === file)) {
+        throw new ServiceError(`Export file '${file}' not found`, { status: 404, code: 'not_found' });
+    }
+    return path.join(job.directory, file);
+}
+
+// Cancel a running job or delete a finished one, removing its files
+async function deleteJob(job) {
+    if (job.status === 'in-progress') {
+        job.status = 'cancelled';
+    }
+    jobs.delete(job.id);
+    await fs.promises.rm(job.directory, { recursive: true, force: true });
+}
+
+// Delete jobs finished more than RETENTION_HOURS ago, and export directories left over from earlier runs
+async function removeExpired() {
+    const cutoff = Date.now() - RETENTION_HOURS * 3600 * 1000;
+    for (const job of jobs.values()) {
+        if (job.completedAt && job.completedAt < cutoff) {
+            await deleteJob(job);
+        }
+    }
+    const directories = await fs.promises.readdir(EXPORT_DIR).catch(() => []);
+    for (const directory of directories) {
+        const stat = await fs.promises.stat(path.join(EXPORT_DIR, directory)).catch(() => null);
+        if (stat && !jobs.has(directory) && stat.mtimeMs < cutoff) {
+            await fs.promises.rm(path.join(EXPORT_DIR, directory), { recursive: true, force: true });
+        }
+    }
+}
+
+setInterval(() => removeExpired().catch(error => logger.error('Could not remove expired exports', { error })), 3600 * 1000).unref();
+
+module.exports = {
+    POLL_SECONDS,
+    parseExportRequest,
+    startExport,
+    getJob,
+    manifest,
+    outputFile,
+    deleteJob
+};
@@ -0,0 +1,209 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { ServiceError, AuthenticationError, AuthorizationError } = require('./errors');
+
+// Roles a caller can hold, taken from the roles claim of the bearer token
+const ROLES = {
+    REFERRER: 'referrer',
+    CBO_STAFF: 'cbo-staff',
+    ADMIN: 'admin'
+};
+
+// Signature algorithms accepted on caller tokens, with the hash and key type each uses
+const ALGORITHMS = {
+    RS256: { hash: 'sha256' },
+    RS384: { hash: 'sha384' },
+    RS512: { hash: 'sha512' },
+    ES256: { hash: 'sha256', dsaEncoding: 'ieee-p1363' },
+    ES384: { hash: 'sha384', dsaEncoding: 'ieee-p1363' }
+};
+
+// Don't refetch the JWKS for unknown key ids more often than this
+const JWKS_MIN_REFRESH_MS = 60 * 1000;
+
+// Read the caller authentication configuration from environment variables
+function configFromEnv(env = process.env) {
+    return {
+        jwksUri: env.AUTH_JWKS_URI,
+        issuer: env.AUTH_ISSUER,
+        audience: env.AUTH_AUDIENCE,
+        clockToleranceSeconds: Number(env.AUTH_CLOCK_TOLERANCE_SECONDS || 60),
+        rolesClaim: env.AUTH_ROLES_CLAIM || 'roles',
+        // Claim holding the caller's FHIR Practitioner, e.g. "Practitioner/123" (SMART fhirUser)
+        practitionerClaim: env.AUTH_PRACTITIONER_CLAIM || 'fhirUser',
+        // Claim holding the caller's Organization, e.g. "Organization/456"
+        organizationClaim: env.AUTH_ORGANIZATION_CLAIM || 'organization',
+        // Claim holding the tenant the caller belongs to, checked when tenants come from TENANTS_FILE
+        tenantClaim: env.AUTH_TENANT_CLAIM || 'tenant'
+    };
+}
+
+// Names of the settings caller authentication cannot work without that are not set
+const missingSettings = config => [['AUTH_JWKS_URI', config.jwksUri], ['AUTH_ISSUER', config.issuer], ['AUTH_AUDIENCE', config.audience]]
+    .filter(([, value]) => !value)
+    .map(([name]) => name);
+
+const decodeSegment = segment => JSON.parse(Buffer.from(segment, 'base64url').toString('utf8'));
+
+// Keep only the id of a "Type/id" reference claim
+const referenceId = (value, resourceType) => {
+    if (!value || typeof value !== 'string') {
+        return null;
+    }
+    const [type, id] = value.includes('/') ? value.split('/') : [resourceType, value];
+    return type === resourceType && id ? id : null;
+};
+
+// Create a verifier for caller bearer tokens, caching the signing keys from the JWKS
+function createTokenVerifier(config = configFromEnv()) {
+    let keys = new Map();
+    let fetchedAt = 0;
+    let pendingFetch = null;
+
+    async function loadKeys() {
+        if (!config.jwksUri) {
+            throw new ServiceError('Caller authentication is not configured (AUTH_JWKS_URI)', { status: 500, code: 'auth_configuration_error' });
+        }
+        let response;
+        try {
+            response = await axios.get(config.jwksUri, { timeout: 10000 });
+        } catch (error) {
+            throw new ServiceError('Could not load the token signing keys', { status: 503, code: 'jwks_unavailable', details: error.message });
+        }
+        keys = new Map((response.data.keys || [])
+            .filter(jwk => jwk.use === undefined || jwk.use === 'sig')
+            .map(jwk => [jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' })]));
+        fetchedAt = Date.now();
+    }
+
+    // Find the signing key, refetching the JWKS once when the key was rotated
+    async function keyFor(kid) {
+        if (!keys.has(kid) && Date.now() - fetchedAt > JWKS_MIN_REFRESH_MS) {
+            if (!pendingFetch) {
+                pendingFetch = loadKeys().finally(() => {
+                    pendingFetch = null;
+                });
+            }
+            await pendingFetch;
+        }
+        if (!keys.has(kid)) {
+            throw new AuthenticationError('Token is signed with an unknown key');
+        }
+        return keys.get(kid);
+    }
+
+    // Every token is rejected until the issuer and audience are configured: without them any token
+    // signed by the identity provider, including ones issued for other applications, would be accepted
+    function checkClaims(claims) {
+        const missing = missingSettings(config).filter(name => name !== 'AUTH_JWKS_URI');
+        if (missing.length > 0) {
+            throw new ServiceError(`Caller authentication is not configured (${missing.join(', ')})`, { status: 500, code: 'auth_configuration_error' });
+        }
+        const now = Math.floor(Date.now() / 1000);
+        const tolerance = config.clockToleranceSeconds;
+        if (typeof claims.exp !== 'number' || claims.exp + tolerance < now) {
+            throw new AuthenticationError('Token has expired');
+        }
+        if (typeof claims.nbf === 'number' && claims.nbf - tolerance > now) {
+            throw new AuthenticationError('Token is not valid yet');
+        }
+        if (claims.iss !== config.issuer) {
+            throw new AuthenticationError('Token issuer is not trusted');
+        }
+        const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+        if (!audiences.includes(config.audience)) {
+            throw new AuthenticationError('Token is not intended for this service');
+        }
+    }
+
+    // Verify signature and claims of a compact JWS and return its claims
+    async function verify(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) {
+            throw new AuthenticationError('Malformed bearer token');
+        }
+        let header;
+        let claims;
+        try {
+            header = decodeSegment(parts[0]);
+            claims = decodeSegment(parts[1]);
+        } catch (error) {
+            throw new AuthenticationError('Malformed bearer token');
+        }
+
+        const algorithm = ALGORITHMS[header.alg];
+        if (!algorithm) {
+            throw new AuthenticationError(`Token algorithm '${header.alg}' is not accepted`);
+        }
+        const key = await keyFor(header.kid);
+        const valid = crypto.verify(
+            algorithm.hash,
+            Buffer.from(`${parts[0]}.${parts[1]}`),
+            algorithm.dsaEncoding ? { key, dsaEncoding: algorithm.dsaEncoding } : key,
+            Buffer.from(parts[2], 'base64url')
+        );
+        if (!valid) {
+            throw new AuthenticationError('Token signature is invalid');
+        }
+        checkClaims(claims);
+        return claims;
+    }
+
+    // Build the caller description routes and access checks work with
+    function callerFromClaims(claims) {
+        const rawRoles = claims[config.rolesClaim] || [];
+        const roles = (Array.isArray(rawRoles) ? rawRoles : [rawRoles])
+            .map(role => String(role).toLowerCase())
+            .filter(role => Object.values(ROLES).includes(role));
+        return {
+            subject: claims.oid || claims.sub,
+            name: claims.name,
+            roles,
+            practitionerId: referenceId(claims[config.practitionerClaim], 'Practitioner'),
+            organizationId: referenceId(claims[config.organizationClaim], 'Organization'),
+            tenantId: typeof claims[config.tenantClaim] === 'string' ? claims[config.tenantClaim] : null
+        };
+    }
+
+    return { verify, callerFromClaims };
+}
+
+const authConfig = configFromEnv();
+const tokenVerifier = createTokenVerifier(authConfig);
+
+// Express middleware requiring a valid bearer token and attaching the caller to req.caller
+async function authenticate(req, res, next) {
+    try {
+        const [scheme, token] = (req.get('Authorization') || '').split(' ');
+        if (scheme !== 'Bearer' || !token) {
+            throw new AuthenticationError('A bearer token is required');
+        }
+        const claims = await tokenVerifier.verify(token);
+        req.caller = tokenVerifier.callerFromClaims(claims);
+        if (req.caller.roles.length === 0) {
+            throw new AuthorizationError('Caller has no role for this service');
+        }
+        next();
+    } catch (error) {
+        if (error instanceof AuthenticationError) {
+            res.set('WWW-Authenticate', `Bearer error="invalid_token", error_description="${error.message}"`);
+        }
+        next(error);
+    }
+}
+
+// Express middleware allowing the route only for callers holding one of the roles
+const requireRole = (...roles) => (req, res, next) => {
+    const allowed = req.caller && req.caller.roles.some(role => roles.includes(role));
+    next(allowed ? undefined : new AuthorizationError(`This action requires one of the roles: ${roles.join(', ')}`));
+};
+
+module.exports = {
+    ROLES,
+    createTokenVerifier,
+    missingAuthSettings: () => missingSettings(authConfig),
+    authenticate,
+    requireRole
+};
@@ -0,0 +1,441 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fhirClient = require('./fhirClient');
+const { patientSchema, serviceRequestSchema, validate } = require('./requestValidation');
+const { isMatchSummary, findDuplicatePatients } = require('./patientMatching');
+const { createPatientObject } = require('./patientResource');
+const { createServiceRequestObject, createTaskObject, assertPractitionerRole } = require('./referralResource');
+const { createConsentObject, assertActiveConsent } = require('./patientConsent');
+const { newFullUrl, createTransactionBundle, applyIdempotencyKey, postTransaction } = require('./fhirTransaction');
+const { isAdmin } = require('./accessControl');
+const { ServiceError } = require('./errors');
+const { logger } = require('./logger');
+
+// Bulk import of patients with their referrals from a CSV file, one referral per row. Every row goes
+// through the validation, duplicate and consent checks of /createPatient and /createServiceRequestandtask.
+// Both run as background jobs: a dry run only reports the problems of each row; a commit imports the rows
+// without problems, CHUNK_SIZE rows per transaction Bundle.
+const MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS || 1000);
+const CHUNK_SIZE = Number(process.env.IMPORT_CHUNK_SIZE || 20);
+// Largest CSV body accepted, in the notation of express.text (e.g. 5mb)
+const MAX_BYTES = process.env.IMPORT_MAX_BYTES || '5mb';
+// Finished jobs are forgotten after this long
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// Referral columns: the /createServiceRequestandtask fields except the patient, who is the row's, and reasonReference
+const { patientID, practitionerId, reasonReference, ...referralSchema } = serviceRequestSchema;
+
+// Columns of an import row. patientID refers the row to an existing patient instead of creating one;
+// consentExpires records the patient's consent to share with the organization, see patientConsent.js.
+const rowSchema = {
+    consentExpires: { type: 'date', notInPast: true },
+    // Admins import on behalf of a practitioner; referrers always import as themselves
+    practitionerId: { type: 'id' }
+};
+const IMPORT_FIELDS = ['patientID', ...Object.keys(patientSchema), ...Object.keys(referralSchema), ...Object.keys(rowSchema)];
+
+const BOOLEAN_VALUES = { 'true': true, 'yes': true, 'y': true, '1': true, 'false': false, 'no': false, 'n': false, '0': false };
+
+const jobs = new Map();
+
+// Parse RFC 4180 CSV: quoted fields may contain commas, line breaks and doubled quotes
+function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    const input = text.replace(/^﻿/, '');
+    for (let i = 0; i < input.length; i += 1) {
+        const char = input[i];
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i += 1;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i += 1;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new ServiceError('CSV has an unterminated quoted field', { status: 400, code: 'invalid_csv' });
+    }
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+    return records.filter(r => r.some(value => value.trim() !== ''));
+}
+
+// Turn the CSV into rows of import fields. mapping maps field names to column headers; fields it
+// does not name are read from a column with the field's own name. row is the spreadsheet row number.
+function readRows(text, mapping = {}) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        throw new ServiceError('Request body must be a CSV file (Content-Type: text/csv)', { status: 400, code: 'invalid_csv' });
+    }
+    const unknown = Object.keys(mapping).filter(field => !IMPORT_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        throw new ServiceError(`Unknown import fields in mapping: ${unknown.join(', ')}`, { status: 400, code: 'invalid_mapping' });
+    }
+    const [headers, ...records] = parseCsv(text);
+    const columns = headers.map(header => header.trim());
+    const missing = Object.values(mapping).filter(header => !columns.includes(header));
+    if (missing.length > 0) {
+        throw new ServiceError(`Mapped columns not found in the CSV header: ${missing.join(', ')}`, { status: 400, code: 'invalid_mapping' });
+    }
+    if (records.length > MAX_ROWS) {
+        throw new ServiceError(`CSV has ${records.length} rows; at most ${MAX_ROWS} can be imported at once`, { status: 413, code: 'too_many_rows' });
+    }
+
+    return records.map((record, index) => {
+        const values = {};
+        IMPORT_FIELDS.forEach(field => {
+            const column = columns.indexOf(mapping[field] || field);
+            const value = column >= 0 && record[column] !== undefined ? record[column].trim() : '';
+            if (value !== '') {
+                values[field] = value;
+            }
+        });
+        if (values.confirmNotDuplicate !== undefined && BOOLEAN_VALUES[values.confirmNotDuplicate.toLowerCase()] !== undefined) {
+            values.confirmNotDuplicate = BOOLEAN_VALUES[values.confirmNotDuplicate.toLowerCase()];
+        }
+        return { row: index + 2, values };
+    });
+}
+
+// Read and check the upload parameters: mode (dry-run or commit) and mapping, a JSON object of import fields to CSV column headers
+function parseImportRequest(query) {
+    if (!['dry-run', 'commit'].includes(query.mode)) {
+        throw new ServiceError('mode must be dry-run or commit', { status: 400, code: 'invalid_mode' });
+    }
+    let mapping = {};
+    if (query.mapping !== undefined) {
+        try {
+            mapping = JSON.parse(query.mapping);
+        } catch (error) {
+            mapping = null;
+        }
+        if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping) || Object.values(mapping).some(header => typeof header !== 'string')) {
+            throw new ServiceError('mapping must be a JSON object of import fields to CSV column headers', { status: 400, code: 'invalid_mapping' });
+        }
+    }
+    return { mode: query.mode, mapping };
+}
+
+const issue = (field, code, message) => ({ field, code, message });
+
+// Check one row the way the create routes would and return its issues with what importing it would do
+async function checkRow(fhirServerURL, accessToken, caller, { row, values }, seenPatients) {
+    const issues = [];
+    const practitioner = isAdmin(caller) ? values.practitionerId : caller.practitionerId;
+    if (!isAdmin(caller) && values.practitionerId && values.practitionerId !== caller.practitionerId) {
+        issues.push(issue('practitionerId', 'forbidden', 'Referrals can only be imported for the calling practitioner'));
+    } else if (!practitioner) {
+        issues.push(issue('practitionerId', 'required', 'practitionerId is required'));
+    }
+    issues.push(...validate(values.patientID ? { patientID: { type: 'id', required: true } } : patientSchema, values));
+    issues.push(...validate(referralSchema, values));
+    issues.push(...validate(rowSchema, values));
+    const result = { row, patient: values.patientID ? `Patient/${values.patientID}` : 'new', practitionerId: practitioner, issues };
+    if (issues.length > 0) {
+        return result;
+    }
+
+    if (values.practitionerRoleId) {
+        await assertPractitionerRole(fhirServerURL, accessToken, practitioner, values.practitionerRoleId)
+            .catch(error => issues.push(issue('practitionerRoleId', 'business-rule', error.message)));
+    }
+    if (values.patientID) {
+        const exists = await fhirClient.get(`${fhirServerURL}/Patient/${encodeURIComponent(values.patientID)}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        }).then(() => true, error => {
+            if (error.response && [404, 410].includes(error.response.status)) {
+                return false;
+            }
+            throw error;
+        });
+        if (!exists) {
+            issues.push(issue('patientID', 'not-found', `Patient/${values.patientID} does not exist`));
+        } else if (!values.consentExpires) {
+            await assertActiveConsent(fhirServerURL, accessToken, values.patientID, values.organizationId)
+                .catch(() => issues.push(issue('consentExpires', 'required', `Patient/${values.patientID} has no consent in force for Organization/${values.organizationId}; give consentExpires to record one`)));
+        }
+        return result;
+    }
+
+    if (!values.consentExpires) {
+        issues.push(issue('consentExpires', 'required', 'consentExpires is required to refer a new patient'));
+    }
+    // The same person twice in the file, or already on the FHIR server
+    const key = [values.lastName, values.firstName, values.dateOfBirth].join('|').toLowerCase();
+    if (seenPatients.has(key) && values.confirmNotDuplicate !== true) {
+        issues.push(issue('$', 'duplicate', `Same patient as row ${seenPatients.get(key)}; use patientID once the patient exists, or set confirmNotDuplicate`));
+    }
+    seenPatients.set(key, seenPatients.get(key) || row);
+    if (values.confirmNotDuplicate !== true) {
+        const duplicates = await findDuplicatePatients(fhirServerURL, accessToken, caller, {
+            firstName: values.firstName,
+            lastName: values.lastName,
+            dob: values.dateOfBirth,
+            phone: values.phoneNumber,
+            email: values.email,
+            zip: values.zipcode
+        });
+        if (duplicates.length > 0) {
+            // Only patients the caller is linked to are listed; the others are counted
+            result.duplicates = duplicates.filter(duplicate => !isMatchSummary(duplicate));
+            const unlisted = duplicates.length - result.duplicates.length;
+            issues.push(issue('$', 'duplicate', `Possible duplicate of an existing patient${unlisted > 0 ? ` (${unlisted} not linked to you)` : ''}; use patientID or set confirmNotDuplicate to true`));
+        }
+    }
+    return result;
+}
+
+// Check every row; onProgress is called with the number of rows checked so far
+async function checkRows(fhirServerURL, accessToken, caller, rows, onProgress = () => {}) {
+    const seenPatients = new Map();
+    const results = [];
+    for (const row of rows) {
+        results.push(await checkRow(fhirServerURL, accessToken, caller, row, seenPatients));
+        onProgress(results.length);
+    }
+    return results;
+}
+
+// Transaction entries creating a row's patient (unless it exists), consent (when given), ServiceRequest and Task.
+// The builders take ids; a patient created in the same transaction is referred to by its urn:uuid instead.
+function rowEntries(values, practitioner, idempotencyKey) {
+    const patientFullUrl = newFullUrl();
+    const patientReference = values.patientID ? `Patient/${values.patientID}` : patientFullUrl;
+    const retarget = (resource, element) => {
+        resource[element] = Array.isArray(resource[element]) ? [{ reference: patientReference }] : { reference: patientReference };
+    };
+    const entries = [];
+
+    if (!values.patientID) {
+        const patient = createPatientObject(
+            values.firstName,
+            values.lastName,
+            values.dateOfBirth,
+            values.gender,
+            values.race,
+            values.sex_at_birth,
+            values.ethnicity,
+            values.genderIdentity,
+            values.sexualOrientation,
+            values.language,
+            values.phoneNumber,
+            values.email,
+            values.address1,
+            values.address2,
+            values.city,
+            values.state,
+            values.zipcode
+        );
+        entries.push({ resource: patient, fullUrl: patientFullUrl });
+    }
+    let consentReference;
+    if (values.consentExpires) {
+        const consent = createConsentObject(values.patientID, {
+            organizationId: values.organizationId,
+            organizationName: values.organizationName,
+            expires: values.consentExpires
+        }, `Practitioner/${practitioner}`);
+        retarget(consent, 'patient');
+        retarget(consent, 'performer');
+        const fullUrl = newFullUrl();
+        consentReference = fullUrl;
+        entries.push({ resource: consent, fullUrl });
+    }
+
+    const serviceRequest = createServiceRequestObject(
+        values.patientID,
+        practitioner,
+        values.practitionerName,
+        values.organizationId,
+        values.organizationName,
+        values.referralText,
+        values.serviceRequestText,
+        [],
+        undefined,
+        values.priority
+    );
+    retarget(serviceRequest, 'subject');
+    if (consentReference) {
+        serviceRequest.supportingInfo = [{ reference: consentReference }];
+    }
+    const serviceRequestFullUrl = newFullUrl();
+    entries.push({ resource: serviceRequest, fullUrl: serviceRequestFullUrl });
+
+    const task = createTaskObject(
+        values.patientID,
+        serviceRequestFullUrl,
+        practitioner,
+        values.practitionerName,
+        values.organizationId,
+        values.organizationName,
+        values.practitionerRoleId,
+        values.priority
+    );
+    retarget(task, 'for');
+    entries.push({ resource: task });
+
+    // Conditional creates, so a transaction repeated after a timeout does not import the row twice
+    entries.forEach((entry, index) => {
+        entry.ifNoneExist = applyIdempotencyKey(entry.resource, `${idempotencyKey}-${index}`);
+    });
+    return entries;
+}
+
+// Import the rows of one chunk in a transaction. When it fails, the rows are retried one by one so a
+// single bad row does not fail the others.
+async function importChunk(fhirServerURL, accessToken, job, chunk) {
+    const planned = chunk.map(({ row, values, practitionerId: practitioner }) => ({ row, entries: rowEntries(values, practitioner, `${job.id}-${row}`) }));
+    const record = async rows => {
+        const created = await postTransaction(fhirServerURL, accessToken, createTransactionBundle(rows.flatMap(r => r.entries)));
+        rows.forEach(({ row, entries }) => {
+            const resources = created.splice(0, entries.length).map(resource => `${resource.resourceType}/${resource.id}`);
+            job.rows.push({ row, status: 'created', resources });
+            job.created += 1;
+        });
+    };
+    try {
+        await record(planned);
+    } catch (error) {
+        if (planned.length === 1) {
+            logger.warn('Import row failed', { job: job.id, row: planned[0].row, error });
+            job.rows.push({ row: planned[0].row, status: 'failed', error: error.message });
+            job.failed += 1;
+            return;
+        }
+        for (const single of planned) {
+            await importChunk(fhirServerURL, accessToken, job, [chunk.find(c => c.row === single.row)]);
+        }
+    }
+}
+
+async function runImport(fhirServerURL, accessToken, caller, job, rows) {
+    try {
+        job.phase = 'checking';
+        const results = await checkRows(fhirServerURL, accessToken, caller, rows, checked => {
+            job.checkedRows = checked;
+        });
+        const valid = [];
+        results.forEach((result, index) => {
+            if (result.issues.length > 0) {
+                job.rows.push({ row: result.row, status: 'skipped', issues: result.issues });
+                job.skipped += 1;
+            } else {
+                valid.push({ ...rows[index], practitionerId: result.practitionerId });
+            }
+        });
+
+        job.phase = 'importing';
+        for (let i = 0; i < valid.length; i += CHUNK_SIZE) {
+            await importChunk(fhirServerURL, accessToken, job, valid.slice(i, i + CHUNK_SIZE));
+        }
+        job.status = 'completed';
+    } catch (error) {
+        logger.error('Import failed', { job: job.id, error });
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        job.phase = null;
+        job.completedAt = Date.now();
+        job.rows.sort((a, b) => a.row - b.row);
+        logger.info('Import finished', { job: job.id, status: job.status, created: job.created, skipped: job.skipped, failed: job.failed });
+    }
+}
+
+// Dry run: the issues of every row, without creating anything
+async function runDryRun(fhirServerURL, accessToken, caller, job, rows) {
+    try {
+        const results = await checkRows(fhirServerURL, accessToken, caller, rows, checked => {
+            job.checkedRows = checked;
+        });
+        job.validRows = results.filter(result => result.issues.length === 0).length;
+        job.invalidRows = results.filter(result => result.issues.length > 0).length;
+        job.rows = results;
+        job.status = 'completed';
+    } catch (error) {
+        logger.error('Import dry run failed', { job: job.id, error });
+        job.status = 'failed';
+        job.error = error.message;
+    } finally {
+        job.phase = null;
+        job.completedAt = Date.now();
+        logger.info('Import dry run finished', { job: job.id, status: job.status, validRows: job.validRows, invalidRows: job.invalidRows });
+    }
+}
+
+// Start checking (mode dry-run) or importing (mode commit) the rows in the background and return the job,
+// which only its owner can look at. A commit skips and reports the rows with issues.
+function startImport(fhirServerURL, accessToken, caller, owner, rows, mode) {
+    const job = {
+        id: crypto.randomUUID(),
+        owner,
+        mode,
+        status: 'in-progress',
+        phase: 'checking',
+        totalRows: rows.length,
+        checkedRows: 0,
+        ...(mode === 'dry-run' ? { validRows: 0, invalidRows: 0 } : { created: 0, skipped: 0, failed: 0 }),
+        rows: [],
+        error: null,
+        startedAt: Date.now(),
+        completedAt: null
+    };
+    jobs.set(job.id, job);
+    (mode === 'dry-run' ? runDryRun : runImport)(fhirServerURL, accessToken, caller, job, rows);
+    return job;
+}
+
+// Progress of the caller's import job; other callers' jobs are reported as not found
+function getImport(id, owner) {
+    const job = jobs.get(id);
+    if (!job || job.owner !== owner) {
+        throw new ServiceError(`Import job '${id}' not found`, { status: 404, code: 'not_found' });
+    }
+    const { owner: _, startedAt, completedAt, ...status } = job;
+    return {
+        ...status,
+        ...(job.mode === 'commit' ? { processedRows: job.skipped + job.created + job.failed } : {}),
+        startedAt: new Date(startedAt).toISOString(),
+        completedAt: completedAt ? new Date(completedAt).toISOString() : null
+    };
+}
+
+setInterval(() => {
+    jobs.forEach((job, id) => {
+        if (job.completedAt && Date.now() - job.completedAt > JOB_RETENTION_MS) {
+            jobs.delete(id);
+        }
+    });
+}, 60 * 60 * 1000).unref();
+
+module.exports = {
+    MAX_BYTES,
+    IMPORT_FIELDS,
+    parseCsv,
+    parseImportRequest,
+    readRows,
+    startImport,
+    getImport
+};
@@ -0,0 +1,98 @@
+// Base class for errors raised by this service. Carries the HTTP status the
+// error handling middleware should respond with and a short machine readable code.
+class ServiceError extends Error {
+    constructor(message, { status = 500, code = 'service_error', details, cause } = {}) {
+        super(message);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        if (cause) {
+            this.cause = cause;
+        }
+    }
+}
+
+// The token manager is missing configuration needed for the selected credential type
+class TokenConfigurationError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 500, code: 'token_configuration_error', ...options });
+    }
+}
+
+// Azure AD (or the managed identity endpoint) refused or failed to issue a token. Its details are only logged,
+// API clients get a generic answer.
+class TokenAcquisitionError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 503, code: 'token_acquisition_error', ...options });
+    }
+}
+
+// A request body failed validation. issues lists one problem per field, each with
+// the FHIR OperationOutcome issue code, the field name and a human readable message.
+class ValidationError extends ServiceError {
+    constructor(issues, message = 'Request validation failed') {
+        super(message, { status: 400, code: 'validation_error', details: issues });
+        this.issues = issues;
+    }
+
+    // Render the issues as a FHIR OperationOutcome resource
+    toOperationOutcome() {
+        return {
+            resourceType: 'OperationOutcome',
+            issue: this.issues.map(issue => ({
+                severity: 'error',
+                code: issue.code,
+                diagnostics: issue.message,
+                expression: [issue.field]
+            }))
+        };
+    }
+}
+
+// A Task status change that the referral workflow does not allow
+class WorkflowError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 409, code: 'invalid_task_transition', ...options });
+    }
+}
+
+// The caller did not present a valid bearer token
+class AuthenticationError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 401, code: 'authentication_required', ...options });
+    }
+}
+
+// The caller is authenticated but not allowed to perform the request
+class AuthorizationError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 403, code: 'forbidden', ...options });
+    }
+}
+
+// The resource changed since the version the caller based its update on. details holds the current version.
+class VersionConflictError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 412, code: 'version_conflict', ...options });
+    }
+}
+
+// The patient has not consented to sharing their data with the organization. details names the patient and organization.
+class ConsentRequiredError extends ServiceError {
+    constructor(message, options = {}) {
+        super(message, { status: 403, code: 'consent_required', ...options });
+    }
+}
+
+module.exports = {
+    ServiceError,
+    TokenConfigurationError,
+    TokenAcquisitionError,
+    ValidationError,
+    WorkflowError,
+    AuthenticationError,
+    AuthorizationError,
+    VersionConflictError,
+    ConsentRequiredError
+};
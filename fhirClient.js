@@ -0,0 +1,210 @@
+require('dotenv').config();
+
+const axios = require('axios');
+const tenants = require('./tenants');
+const { ServiceError } = require('./errors');
+const { logger, currentRequestId } = require('./logger');
+const metrics = require('./metrics');
+
+// Shared HTTP client for every call to the FHIR servers. It has the axios API, and adds a timeout,
+// retries with jittered exponential backoff, a circuit breaker per tenant and a token refresh on 401.
+const TIMEOUT_MS = Number(process.env.FHIR_TIMEOUT_MS || 30000);
+const MAX_RETRIES = Number(process.env.FHIR_MAX_RETRIES || 3);
+const RETRY_BASE_DELAY_MS = Number(process.env.FHIR_RETRY_BASE_DELAY_MS || 500);
+const RETRY_MAX_DELAY_MS = Number(process.env.FHIR_RETRY_MAX_DELAY_MS || 10000);
+// After this many consecutive failures the circuit opens and calls fail fast for FHIR_CIRCUIT_RESET_MS
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.FHIR_CIRCUIT_FAILURE_THRESHOLD || 5);
+const CIRCUIT_RESET_MS = Number(process.env.FHIR_CIRCUIT_RESET_MS || 30000);
+
+// Only these are retried after a server error or timeout; a POST may already have been applied.
+// 429 is retried for every method, since the server refused the request without processing it.
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+// Tenant id -> circuit, so one tenant's FHIR server being down does not fail calls to the others
+const circuits = new Map();
+
+// The circuit of the tenant whose FHIR server the request goes to
+function circuitFor(config) {
+    const tenant = tenants.forUrl(config.url);
+    const key = tenant ? tenant.id : '';
+    if (!circuits.has(key)) {
+        circuits.set(key, {
+            tenant: key,
+            state: 'closed', // closed, open or half-open
+            failures: 0,
+            openedAt: 0,
+            trialInFlight: false
+        });
+    }
+    return circuits.get(key);
+}
+
+const fhirRequests = metrics.counter('fhir_requests_total', 'Calls to the FHIR server, by method and outcome (status class, timeout, network_error or circuit_open)', ['method', 'outcome']);
+const fhirDuration = metrics.histogram('fhir_request_duration_seconds', 'FHIR server call latency, by method', ['method']);
+const fhirRetries = metrics.counter('fhir_retries_total', 'FHIR calls repeated after a failure, by method', ['method']);
+metrics.collected('fhir_circuit_open', 'Whether the FHIR circuit breaker of a tenant is failing calls fast (1) or not (0)', 'gauge',
+    () => [...circuits.values()].map(circuit => ({ labels: { tenant: circuit.tenant }, value: circuit.state === 'closed' ? 0 : 1 })));
+
+// Outcome label of a FHIR call
+function outcomeOf(error, response) {
+    if (response) {
+        return `${String(response.status)[0]}xx`;
+    }
+    if (error instanceof ServiceError) {
+        return 'circuit_open';
+    }
+    return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT' ? 'timeout' : 'network_error';
+}
+
+function recordCall(config, error, response) {
+    const method = String(config && config.method || 'get').toUpperCase();
+    fhirRequests.inc({ method, outcome: outcomeOf(error, response) });
+    if (config && config.startedAt) {
+        fhirDuration.observe({ method }, (Date.now() - config.startedAt) / 1000);
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Delay in ms requested by a Retry-After header (seconds or an HTTP date), or null
+function retryAfterDelay(response) {
+    const header = response && response.headers && response.headers['retry-after'];
+    if (!header) {
+        return null;
+    }
+    const seconds = Number(header);
+    const delay = Number.isNaN(seconds) ? Date.parse(header) - Date.now() : seconds * 1000;
+    return Number.isNaN(delay) ? null : Math.max(delay, 0);
+}
+
+// "Full jitter" backoff: a random delay up to base * 2^attempt, capped
+const backoffDelay = attempt => Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt);
+
+// Server errors, timeouts and connection failures count against the circuit; 4xx answers do not
+const isServerFailure = error => !error.response || error.response.status >= 500;
+
+function recordSuccess(circuit) {
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.trialInFlight = false;
+}
+
+function recordFailure(circuit) {
+    circuit.failures += 1;
+    circuit.trialInFlight = false;
+    if (circuit.state === 'half-open' || circuit.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+        if (circuit.state !== 'open') {
+            logger.error(`FHIR server circuit opened after ${circuit.failures} consecutive failures`, { tenant: circuit.tenant });
+        }
+        circuit.state = 'open';
+        circuit.openedAt = Date.now();
+    }
+}
+
+// Fail fast while the circuit is open. Once CIRCUIT_RESET_MS has passed a single trial request is let
+// through (half-open); its outcome closes or reopens the circuit.
+function checkCircuit(config) {
+    const circuit = circuitFor(config);
+    if (circuit.state === 'open' && Date.now() - circuit.openedAt >= CIRCUIT_RESET_MS) {
+        circuit.state = 'half-open';
+    }
+    if (circuit.state === 'half-open' && !circuit.trialInFlight) {
+        circuit.trialInFlight = true;
+        return config;
+    }
+    if (circuit.state !== 'closed') {
+        fhirRequests.inc({ method: String(config.method).toUpperCase(), outcome: 'circuit_open' });
+        const retryAfterSeconds = Math.ceil(Math.max(CIRCUIT_RESET_MS - (Date.now() - circuit.openedAt), 0) / 1000);
+        throw new ServiceError('FHIR server is unavailable, try again later', {
+            status: 503,
+            code: 'fhir_unavailable',
+            details: { retryAfterSeconds }
+        });
+    }
+    return config;
+}
+
+// On a 401 get a new token from the tenant of the FHIR server and repeat the request once. The cached
+// token is only dropped when the request used it, so concurrent 401s lead to a single refresh.
+// Returns false when the URL belongs to no tenant.
+async function refreshAuthorization(config) {
+    const tenant = tenants.forUrl(config.url);
+    if (!tenant) {
+        return false;
+    }
+    const usedToken = String(config.headers.Authorization || '').replace(/^Bearer /, '');
+    let token = await tenant.getToken();
+    if (token === usedToken) {
+        tenant.tokenManager.invalidate();
+        token = await tenant.getToken();
+    }
+    config.headers.Authorization = `Bearer ${token}`;
+    return true;
+}
+
+const fhirClient = axios.create({ timeout: TIMEOUT_MS });
+
+// Forward the id of the request being served so FHIR server logs can be correlated with ours
+function addRequestId(config) {
+    const requestId = currentRequestId();
+    if (requestId) {
+        config.headers['X-Request-ID'] = requestId;
+    }
+    config.startedAt = Date.now();
+    return config;
+}
+
+fhirClient.interceptors.request.use(checkCircuit);
+fhirClient.interceptors.request.use(addRequestId);
+
+fhirClient.interceptors.response.use(response => {
+    recordSuccess(circuitFor(response.config));
+    recordCall(response.config, null, response);
+    return response;
+}, async error => {
+    const config = error.config;
+    if (!config || error instanceof ServiceError) {
+        throw error;
+    }
+    recordCall(config, error, error.response);
+    const status = error.response ? error.response.status : null;
+    const circuit = circuitFor(config);
+    if (isServerFailure(error)) {
+        recordFailure(circuit);
+    } else {
+        recordSuccess(circuit); // the server answered, so it is up
+    }
+
+    if (status === 401 && !config.tokenRefreshed && config.headers.Authorization) {
+        config.tokenRefreshed = true;
+        if (await refreshAuthorization(config)) {
+            return fhirClient.request(config);
+        }
+    }
+
+    const attempt = config.retryCount || 0;
+    // retry: false in the request config turns retries off, e.g. for health checks
+    const retryable = config.retry !== false && (status === 429
+        || ((RETRYABLE_STATUSES.includes(status) || !error.response) && IDEMPOTENT_METHODS.includes(config.method)));
+    if (!retryable || attempt >= MAX_RETRIES) {
+        throw error;
+    }
+    const requested = retryAfterDelay(error.response);
+    if (requested !== null && requested > RETRY_MAX_DELAY_MS) {
+        throw error; // the server asked for a longer wait than a user request should take
+    }
+    config.retryCount = attempt + 1;
+    fhirRetries.inc({ method: config.method.toUpperCase() });
+    logger.warn('Retrying FHIR request', { request: `${config.method.toUpperCase()} ${String(config.url).split('?')[0]}`, status, attempt: config.retryCount });
+    await sleep(requested !== null ? requested : backoffDelay(attempt));
+    return fhirClient.request(config);
+});
+
+// Circuit state of each tenant for monitoring
+fhirClient.circuitState = () => Object.fromEntries([...circuits.values()].map(circuit => [
+    circuit.tenant,
+    { state: circuit.state, failures: circuit.failures, openedAt: circuit.openedAt || null }
+]));
+
+module.exports = fhirClient;
@@ -0,0 +1,29 @@
+// Format a FHIR HumanName as "Given Family", tolerating missing parts
+function formatHumanName(name) {
+    if (!name) {
+        return null;
+    }
+    if (name.text) {
+        return name.text;
+    }
+    const parts = [...(name.given || []), name.family].filter(Boolean);
+    return parts.length > 0 ? parts.join(' ') : null;
+}
+
+// Display name of a Practitioner, Patient, Organization or similar resource, preferring the official name
+function resourceDisplayName(resource) {
+    if (!resource) {
+        return null;
+    }
+    if (typeof resource.name === 'string') {
+        return resource.name; // Organization, HealthcareService
+    }
+    const names = resource.name || [];
+    const official = names.find(name => name.use === 'official') || names[0];
+    return formatHumanName(official);
+}
+
+module.exports = {
+    formatHumanName,
+    resourceDisplayName
+};
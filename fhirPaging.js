@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const fhirClient = require('./fhirClient');
+const { ServiceError } = require('./errors');
+const { auditResources } = require('./auditTrail');
+
+// Page size used when the caller does not pass pageSize, and the largest one we accept
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 1000;
+
+// Cursors carry the FHIR server's own next link, relative to the server base, so we never follow a
+// URL that points anywhere else. They are signed together with a scope (the caller), so a cursor can
+// neither be tampered with to drop search constraints nor be replayed by somebody else.
+// Without CURSOR_SECRET cursors are only valid for the lifetime of the process.
+const cursorSecret = process.env.CURSOR_SECRET || crypto.randomBytes(32).toString('hex');
+
+const signCursor = (relative, scope) => crypto.createHmac('sha256', cursorSecret).update(`${scope}\n${relative}`).digest('base64url');
+
+function encodeCursor(fhirServerURL, nextUrl, scope = '') {
+    const base = fhirServerURL.replace(/\/+$/, '');
+    const relative = nextUrl.startsWith(base) ? nextUrl.slice(base.length) : nextUrl;
+    return `${Buffer.from(relative).toString('base64url')}.${signCursor(relative, scope)}`;
+}
+
+function decodeCursor(fhirServerURL, resourceType, cursor, scope = '') {
+    const [encoded, signature] = String(cursor).split('.');
+    const relative = Buffer.from(encoded, 'base64url').toString('utf8');
+    const expected = signCursor(relative, scope);
+    const valid = signature && signature.length === expected.length && crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!valid || !/^[?\/]/.test(relative.slice(resourceType.length + 1)) || !relative.startsWith(`/${resourceType}`) || relative.includes('://')) {
+        throw new ServiceError('Invalid paging cursor', { status: 400, code: 'invalid_cursor' });
+    }
+    return `${fhirServerURL.replace(/\/+$/, '')}${relative}`;
+}
+
+// Validate the pageSize query parameter
+function parsePageSize(value) {
+    if (value === undefined) {
+        return DEFAULT_PAGE_SIZE;
+    }
+    const pageSize = Number(value);
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        throw new ServiceError(`pageSize must be an integer between 1 and ${MAX_PAGE_SIZE}`, { status: 400, code: 'invalid_page_size' });
+    }
+    return pageSize;
+}
+
+// Find the url of the Bundle link with the given relation
+function bundleLink(bundle, relation) {
+    const link = (bundle.link || []).find(l => l.relation === relation);
+    return link ? link.url : null;
+}
+
+// A next link without _total. Counting every match is costly on large searches, so only the first page asks for it.
+function withoutTotal(url) {
+    const parsed = new URL(url);
+    if (!parsed.searchParams.has('_total')) {
+        return url;
+    }
+    parsed.searchParams.delete('_total');
+    return parsed.toString();
+}
+
+// Fetch one page of a search. Without a cursor a new search is started with the given parameters,
+// otherwise the cursor's next link is followed as is. cursorScope binds cursors to the caller.
+// total asks the server to count the matches of a new search.
+async function fetchPage(fhirServerURL, accessToken, resourceType, { pageSize = DEFAULT_PAGE_SIZE, cursor, params = {}, cursorScope, total = true } = {}) {
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+    const response = cursor
+        ? await fhirClient.get(decodeCursor(fhirServerURL, resourceType, cursor, cursorScope), { headers })
+        : await fhirClient.get(`${fhirServerURL}/${resourceType}`, {
+            headers,
+            params: { ...params, '_count': pageSize, ...(total ? { '_total': 'accurate' } : {}) },
+            // Repeat array parameters (e.g. _lastUpdated=ge...&_lastUpdated=lt...) the way FHIR expects
+            paramsSerializer: { indexes: null }
+        });
+
+    const bundle = response.data;
+    const nextUrl = bundleLink(bundle, 'next');
+    return {
+        entry: bundle.entry || [],
+        total: bundle.total !== undefined ? bundle.total : null,
+        nextCursor: nextUrl ? encodeCursor(fhirServerURL, withoutTotal(nextUrl), cursorScope) : null
+    };
+}
+
+// Follow next links until the search is exhausted, calling onPage for every page, without counting the matches.
+// onPage may return false to stop early.
+async function fetchAllPages(fhirServerURL, accessToken, resourceType, { pageSize = MAX_PAGE_SIZE, params = {} } = {}, onPage) {
+    let cursor;
+    do {
+        const page = await fetchPage(fhirServerURL, accessToken, resourceType, { pageSize, cursor, params, total: false });
+        if (await onPage(page) === false) {
+            return;
+        }
+        cursor = page.nextCursor;
+    } while (cursor);
+}
+
+// Stream every resource matching the search to the response as NDJSON, one resource per line.
+// filterEntries may drop entries of each page before they are written.
+async function streamNdjson(res, fhirServerURL, accessToken, resourceType, params, filterEntries = entries => entries) {
+    res.status(200).type('application/fhir+ndjson');
+    await fetchAllPages(fhirServerURL, accessToken, resourceType, { params }, async page => {
+        for (const entry of await filterEntries(page.entry)) {
+            auditResources(res, entry.resource);
+            if (!res.write(`${JSON.stringify(entry.resource)}\n`)) {
+                // Wait for the client to catch up before fetching the next page
+                await new Promise(resolve => {
+                    const resume = () => {
+                        res.off('drain', resume);
+                        res.off('close', resume);
+                        resolve();
+                    };
+                    res.once('drain', resume);
+                    res.once('close', resume);
+                });
+            }
+            if (res.destroyed) {
+                return false; // Client went away, stop paging through the server
+            }
+        }
+    });
+    res.end();
+}
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    encodeCursor,
+    decodeCursor,
+    parsePageSize,
+    fetchPage,
+    fetchAllPages,
+    streamNdjson
+};
@@ -0,0 +1,173 @@
+const { ServiceError } = require('./errors');
+
+// Query parameters handled by this service itself rather than forwarded to the FHIR server
+const SERVICE_PARAMETERS = ['pageSize', 'cursor', 'all'];
+
+// Patterns for the FHIR search parameter types we forward. Values are validated as a whole,
+// so comma separated lists (FHIR "or") are covered by the patterns themselves.
+const TOKEN = /^[\w\-.:/|]{1,200}(,[\w\-.:/|]{1,200})*$/;
+const REFERENCE = /^([A-Z][A-Za-z]+\/)?[A-Za-z0-9\-.]{1,64}(,([A-Z][A-Za-z]+\/)?[A-Za-z0-9\-.]{1,64})*$/;
+const DATE = /^(eq|ne|gt|lt|ge|le|sa|eb|ap)?\d{4}(-\d{2}(-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?)?)?$/;
+const STRING = /^[\p{L}\p{N} '\-.,@]{1,100}$/u;
+
+// Modifiers accepted for each parameter type; anything else is rejected
+const TYPES = {
+    token: { pattern: TOKEN, modifiers: ['not'] },
+    reference: { pattern: REFERENCE, modifiers: [] },
+    date: { pattern: DATE, modifiers: [] },
+    string: { pattern: STRING, modifiers: ['exact', 'contains'] }
+};
+
+// Search parameters every resource accepts
+const COMMON_PARAMETERS = {
+    '_id': 'token',
+    '_lastUpdated': 'date'
+};
+
+// Per resource allowlist: search parameters with their type, the fields _sort may use
+// and the _include/_revinclude values that may be requested
+const SEARCH_ALLOWLIST = {
+    Task: {
+        parameters: {
+            'status': 'token',
+            'business-status': 'token',
+            'owner': 'reference',
+            'requester': 'reference',
+            'subject': 'reference',
+            'patient': 'reference',
+            'focus': 'reference',
+            'authored-on': 'date',
+            'modified': 'date'
+        },
+        sort: ['_lastUpdated', 'authored-on', 'modified', 'status'],
+        include: ['Task:focus', 'Task:patient', 'Task:owner', 'Task:requester'],
+        revinclude: []
+    },
+    ServiceRequest: {
+        parameters: {
+            'status': 'token',
+            'category': 'token',
+            'subject': 'reference',
+            'patient': 'reference',
+            'performer': 'reference',
+            'requester': 'reference',
+            'authored': 'date'
+        },
+        sort: ['_lastUpdated', 'authored', 'status'],
+        include: ['ServiceRequest:patient', 'ServiceRequest:performer', 'ServiceRequest:requester'],
+        revinclude: ['Task:focus']
+    },
+    Patient: {
+        parameters: {
+            'name': 'string',
+            'family': 'string',
+            'given': 'string',
+            'birthdate': 'date',
+            'gender': 'token',
+            'identifier': 'token',
+            'active': 'token'
+        },
+        sort: ['_lastUpdated', 'family', 'given', 'birthdate'],
+        include: [],
+        revinclude: ['ServiceRequest:subject', 'Task:patient']
+    },
+    PractitionerRole: {
+        parameters: {
+            'practitioner': 'reference',
+            'organization': 'reference',
+            'specialty': 'token',
+            'service': 'reference',
+            'active': 'token'
+        },
+        sort: ['_lastUpdated'],
+        include: ['PractitionerRole:practitioner', 'PractitionerRole:organization'],
+        revinclude: []
+    },
+    Organization: {
+        parameters: {
+            'name': 'string',
+            'type': 'token',
+            'active': 'token',
+            'identifier': 'token',
+            'address-postalcode': 'string'
+        },
+        sort: ['_lastUpdated', 'name'],
+        include: [],
+        revinclude: ['PractitionerRole:organization']
+    },
+    Practitioner: {
+        parameters: {
+            'name': 'string',
+            'family': 'string',
+            'given': 'string',
+            'identifier': 'token',
+            'active': 'token'
+        },
+        sort: ['_lastUpdated', 'family', 'given'],
+        include: [],
+        revinclude: ['PractitionerRole:practitioner']
+    }
+};
+
+// Check a single parameter value against the allowlist, returning an error message or null
+function checkParameter(allowlist, name, value) {
+    if (typeof value !== 'string') {
+        return 'must be a plain value';
+    }
+    if (name === '_sort') {
+        const fields = value.split(',');
+        const invalid = fields.find(field => !allowlist.sort.includes(field.replace(/^-/, '')));
+        return invalid ? `cannot sort by '${invalid}'` : null;
+    }
+    if (name === '_include' || name === '_revinclude') {
+        const allowed = name === '_include' ? allowlist.include : allowlist.revinclude;
+        return allowed.includes(value) ? null : `'${value}' is not supported`;
+    }
+
+    const [code, modifier] = name.split(':');
+    const type = COMMON_PARAMETERS[code] || allowlist.parameters[code];
+    if (!type) {
+        return 'is not a supported search parameter';
+    }
+    if (modifier !== undefined && !TYPES[type].modifiers.includes(modifier)) {
+        return `modifier ':${modifier}' is not supported`;
+    }
+    return TYPES[type].pattern.test(value) ? null : `has an invalid ${type} value`;
+}
+
+// Validate the query of a resource route and return the FHIR search parameters to forward.
+// Throws a 400 ServiceError listing every rejected parameter.
+function validateSearchParams(resourceType, query) {
+    const allowlist = SEARCH_ALLOWLIST[resourceType];
+    const params = {};
+    const issues = [];
+
+    Object.entries(query).forEach(([name, rawValue]) => {
+        if (SERVICE_PARAMETERS.includes(name)) {
+            return;
+        }
+        // Repeated parameters (e.g. a _lastUpdated range) arrive as arrays
+        const values = Array.isArray(rawValue) ? rawValue : [rawValue];
+        values.forEach(value => {
+            const message = checkParameter(allowlist, name, value);
+            if (message) {
+                issues.push({ parameter: name, message: `${name} ${message}` });
+            }
+        });
+        params[name] = rawValue;
+    });
+
+    if (issues.length > 0) {
+        throw new ServiceError(`Unsupported search parameters for ${resourceType}`, {
+            status: 400,
+            code: 'invalid_search_parameter',
+            details: issues
+        });
+    }
+    return params;
+}
+
+module.exports = {
+    SEARCH_ALLOWLIST,
+    validateSearchParams
+};
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const fhirClient = require('./fhirClient');
+const { ServiceError } = require('./errors');
+
+// Identifier system under which client idempotency keys are stored on created resources
+const IDEMPOTENCY_IDENTIFIER_SYSTEM = 'urn:acleap:idempotency-key';
+
+// New temporary id for a resource inside a transaction, used in references between entries
+const newFullUrl = () => `urn:uuid:${crypto.randomUUID()}`;
+
+// Build a transaction Bundle that creates the given resources. Each entry is
+// { resource, fullUrl, ifNoneExist }; ifNoneExist turns the entry into a conditional create.
+function createTransactionBundle(entries) {
+    return {
+        resourceType: 'Bundle',
+        type: 'transaction',
+        entry: entries.map(({ resource, fullUrl, ifNoneExist }) => ({
+            fullUrl: fullUrl || newFullUrl(),
+            resource,
+            request: {
+                method: 'POST',
+                url: resource.resourceType,
+                ...(ifNoneExist ? { ifNoneExist } : {})
+            }
+        }))
+    };
+}
+
+// Tag a resource with the idempotency key and return the matching conditional create query,
+// so a retried transaction finds the resource created the first time instead of adding another.
+// The key must already be unique to the caller (idempotency.js scopes client keys by tenant and caller).
+function applyIdempotencyKey(resource, idempotencyKey) {
+    resource.identifier = [
+        ...(resource.identifier || []),
+        { system: IDEMPOTENCY_IDENTIFIER_SYSTEM, value: idempotencyKey }
+    ];
+    return `identifier=${encodeURIComponent(`${IDEMPOTENCY_IDENTIFIER_SYSTEM}|${idempotencyKey}`)}`;
+}
+
+// Submit a transaction Bundle and return the resulting resources in entry order.
+// The FHIR server applies all entries or none.
+async function postTransaction(fhirServerURL, accessToken, bundle) {
+    const headers = {
+        'Content-Type': 'application/fhir+json',
+        'Authorization': `Bearer ${accessToken}`,
+        'Prefer': 'return=representation'
+    };
+    const response = await fhirClient.post(fhirServerURL, bundle, { headers });
+    const entries = response.data.entry || [];
+    if (entries.length !== bundle.entry.length) {
+        throw new ServiceError('FHIR server returned an incomplete transaction response', { status: 502, code: 'invalid_transaction_response' });
+    }
+
+    // Servers may ignore the Prefer header, in which case the created resources are read back
+    return Promise.all(entries.map(async entry => {
+        if (entry.resource) {
+            return entry.resource;
+        }
+        const location = entry.response.location.replace(/\/_history\/.*$/, '');
+        const read = await fhirClient.get(`${fhirServerURL}/${location}`, { headers: { 'Authorization': `Bearer ${accessToken}` } });
+        return read.data;
+    }));
+}
+
+module.exports = {
+    newFullUrl,
+    createTransactionBundle,
+    applyIdempotencyKey,
+    postTransaction
+};
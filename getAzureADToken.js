@@ -1,40 +1,205 @@
 require('dotenv').config();
 
-const express = require('express'); 
-const cors = require('cors'); 
-const axios = require('axios'); 
+const fs = require('fs');
+const crypto = require('crypto');
+const axios = require('axios');
+const { TokenConfigurationError, TokenAcquisitionError } = require('./errors');
+const { logger } = require('./logger');
 
-const app = express();
-app.use(cors()); 
+// Supported ways of authenticating this service against Azure AD, selected with AUTH_METHOD
+const AUTH_METHODS = ['client_secret', 'client_certificate', 'managed_identity'];
 
-//Asynchronous function to retrieve an Azure AD token 
-async function getAzureADToken() {
+// Default managed identity endpoint (Azure Instance Metadata Service)
+const IMDS_ENDPOINT = 'http://169.254.169.254/metadata/identity/oauth2/token';
 
-    // Extracting necessary configuration details from environment variables for the token request
-    const tenantId = process.env.TENANT_ID; 
-    const clientId = process.env.CLIENT_ID; 
-    const clientSecret = process.env.CLIENT_SECRET;
-    const scope = process.env.SCOPE;
-    const tokenUrl = process.env.TOKEN_URL;
+// Read the token manager configuration from environment variables
+function configFromEnv(env = process.env) {
+    return {
+        authMethod: env.AUTH_METHOD || 'client_secret',
+        tenantId: env.TENANT_ID,
+        clientId: env.CLIENT_ID,
+        clientSecret: env.CLIENT_SECRET,
+        scope: env.SCOPE,
+        tokenUrl: env.TOKEN_URL,
+        certificatePath: env.CLIENT_CERTIFICATE_PATH,
+        privateKeyPath: env.CLIENT_PRIVATE_KEY_PATH,
+        identityEndpoint: env.IDENTITY_ENDPOINT,
+        identityHeader: env.IDENTITY_HEADER,
+        // Refresh the cached token this many seconds before Azure AD says it expires
+        refreshSkewSeconds: Number(env.TOKEN_REFRESH_SKEW_SECONDS || 300)
+    };
+}
+
+// Encode a buffer or string as base64url, as required for JWT segments
+function base64url(input) {
+    return Buffer.from(input).toString('base64').replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+}
+
+// Build the signed JWT used as client assertion for certificate based authentication
+function createClientAssertion(config) {
+    if (!config.certificatePath || !config.privateKeyPath) {
+        throw new TokenConfigurationError('CLIENT_CERTIFICATE_PATH and CLIENT_PRIVATE_KEY_PATH are required for client_certificate authentication');
+    }
+    const certificate = new crypto.X509Certificate(fs.readFileSync(config.certificatePath));
+    const privateKey = fs.readFileSync(config.privateKeyPath);
+
+    // Azure AD identifies the certificate by its SHA-1 thumbprint (x5t header)
+    const thumbprint = Buffer.from(certificate.fingerprint.replace(/:/g, ''), 'hex');
+    const now = Math.floor(Date.now() / 1000);
+    const header = { alg: 'RS256', typ: 'JWT', x5t: base64url(thumbprint) };
+    const payload = {
+        aud: config.tokenUrl,
+        iss: config.clientId,
+        sub: config.clientId,
+        jti: crypto.randomUUID(),
+        nbf: now,
+        exp: now + 600
+    };
+
+    const signingInput = `${base64url(JSON.stringify(header))}.${base64url(JSON.stringify(payload))}`;
+    const signature = crypto.sign('RSA-SHA256', Buffer.from(signingInput), privateKey);
+    return `${signingInput}.${base64url(signature)}`;
+}
+
+// Post a client credentials grant to the Azure AD token endpoint
+async function requestClientCredentialsToken(config, credentials) {
+    if (!config.tokenUrl || !config.clientId || !config.scope) {
+        throw new TokenConfigurationError('TOKEN_URL, CLIENT_ID and SCOPE are required for Azure AD authentication');
+    }
 
     // Prepare the request data using URLSearchParams, which ensures proper encoding
     const tokenRequestData = new URLSearchParams({
-        client_id: clientId, 
-        scope: scope, 
-        client_secret: clientSecret, 
-        grant_type: 'client_credentials', 
+        client_id: config.clientId,
+        scope: config.scope,
+        grant_type: 'client_credentials',
+        ...credentials
+    });
+
+    const tokenResponse = await axios.post(config.tokenUrl, tokenRequestData.toString(), {
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
     });
+    return tokenResponse.data;
+}
 
-    try {
-        // Attempt to post the token request to the Azure AD token endpoint
-        const tokenResponse = await axios.post(tokenUrl, tokenRequestData.toString(), {
-            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-        });
-        return tokenResponse.data.access_token;
-    } catch (error) {
-        console.error(`Error obtaining token from Azure AD: ${error.response ? error.response.data : error.message}`);
-        throw new Error('Failed to obtain access token from Azure AD');
+// Ask the managed identity endpoint (App Service or IMDS) for a token
+async function requestManagedIdentityToken(config) {
+    if (!config.scope) {
+        throw new TokenConfigurationError('SCOPE is required for managed_identity authentication');
     }
+    // Managed identity endpoints take a resource rather than a v2 scope
+    const resource = config.scope.replace(/\/\.default$/, '');
+    const params = { resource };
+    if (config.clientId) {
+        params.client_id = config.clientId;
+    }
+
+    let url;
+    let headers;
+    if (config.identityEndpoint) {
+        url = config.identityEndpoint;
+        params['api-version'] = '2019-08-01';
+        headers = { 'X-IDENTITY-HEADER': config.identityHeader };
+    } else {
+        url = IMDS_ENDPOINT;
+        params['api-version'] = '2018-02-01';
+        headers = { 'Metadata': 'true' };
+    }
+
+    const tokenResponse = await axios.get(url, { params, headers });
+    return tokenResponse.data;
+}
+
+// Fetch a new token using the configured credential type
+async function requestToken(config) {
+    switch (config.authMethod) {
+        case 'client_secret':
+            if (!config.clientSecret) {
+                throw new TokenConfigurationError('CLIENT_SECRET is required for client_secret authentication');
+            }
+            return requestClientCredentialsToken(config, { client_secret: config.clientSecret });
+        case 'client_certificate':
+            return requestClientCredentialsToken(config, {
+                client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer',
+                client_assertion: createClientAssertion(config)
+            });
+        case 'managed_identity':
+            return requestManagedIdentityToken(config);
+        default:
+            throw new TokenConfigurationError(`Unsupported AUTH_METHOD '${config.authMethod}', expected one of ${AUTH_METHODS.join(', ')}`);
+    }
+}
+
+// Work out when a token response expires, in epoch milliseconds
+function expiryFromResponse(data) {
+    // Managed identity endpoints return expires_on (epoch seconds), Azure AD returns expires_in
+    if (data.expires_on) {
+        return Number(data.expires_on) * 1000;
+    }
+    return Date.now() + Number(data.expires_in || 0) * 1000;
+}
+
+// Create a token manager that caches the access token until shortly before it expires
+// and shares a single in-flight refresh between concurrent callers. Each tenant has its own, see tenants.js.
+function createTokenManager(config = configFromEnv()) {
+    let cachedToken = null;
+    let expiresAt = 0;
+    let pendingRefresh = null;
+    let refreshCount = 0;
+    let failureCount = 0;
+
+    const isFresh = () => cachedToken && Date.now() < expiresAt - config.refreshSkewSeconds * 1000;
+
+    async function refresh() {
+        try {
+            const data = await requestToken(config);
+            if (!data || !data.access_token) {
+                throw new TokenAcquisitionError('Token endpoint response did not contain an access_token');
+            }
+            cachedToken = data.access_token;
+            expiresAt = expiryFromResponse(data);
+            refreshCount += 1;
+            return cachedToken;
+        } catch (error) {
+            failureCount += 1;
+            if (error instanceof TokenConfigurationError || error instanceof TokenAcquisitionError) {
+                throw error;
+            }
+            const details = error.response ? error.response.data : error.message;
+            logger.error('Error obtaining token from Azure AD', { authMethod: config.authMethod, error });
+            throw new TokenAcquisitionError(`Failed to obtain access token using ${config.authMethod}`, {
+                details: details && details.error_description ? details.error_description : details,
+                cause: error
+            });
+        }
+    }
+
+    // Return the cached token, refreshing it first when it is missing or about to expire
+    async function getToken() {
+        if (isFresh()) {
+            return cachedToken;
+        }
+        if (!pendingRefresh) {
+            pendingRefresh = refresh().finally(() => {
+                pendingRefresh = null;
+            });
+        }
+        return pendingRefresh;
+    }
+
+    // Drop the cached token, e.g. after the FHIR server rejected it
+    function invalidate() {
+        cachedToken = null;
+        expiresAt = 0;
+    }
+
+    return {
+        getToken,
+        invalidate,
+        stats: () => ({ authMethod: config.authMethod, expiresAt, refreshCount, failureCount })
+    };
 }
 
-module.exports = getAzureADToken;
+module.exports = {
+    createTokenManager,
+    configFromEnv
+};
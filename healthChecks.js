@@ -0,0 +1,89 @@
+require('dotenv').config();
+
+const tenants = require('./tenants');
+const fhirClient = require('./fhirClient');
+const { logger } = require('./logger');
+
+// Readiness results are reused for this long, so frequent probes do not load Azure AD or the FHIR server
+const CACHE_MS = Number(process.env.HEALTH_CACHE_MS || 10000);
+const CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS || 5000);
+
+let cached = null;
+let pendingCheck = null;
+
+// Run one check and report its status and duration instead of throwing
+async function runCheck(check) {
+    const started = Date.now();
+    try {
+        await check();
+        return { status: 'up', durationMs: Date.now() - started };
+    } catch (error) {
+        return { status: 'down', durationMs: Date.now() - started, error: error.message };
+    }
+}
+
+// The service can get an Azure AD token for the tenant and its FHIR server answers with its CapabilityStatement
+async function checkTenant(tenant) {
+    const token = await runCheck(() => tenant.getToken());
+    const fhir = await runCheck(async () => {
+        const accessToken = await tenant.getToken();
+        const response = await fhirClient.get(`${tenant.fhirServerURL}/metadata`, {
+            headers: { 'Authorization': `Bearer ${accessToken}`, 'Accept': 'application/fhir+json' },
+            timeout: CHECK_TIMEOUT_MS,
+            retry: false
+        });
+        if (!response.data || response.data.resourceType !== 'CapabilityStatement') {
+            throw new Error('FHIR server /metadata did not return a CapabilityStatement');
+        }
+    });
+    const ready = token.status === 'up' && fhir.status === 'up';
+    if (!ready) {
+        logger.warn('Readiness check failed', { tenant: tenant.id, token: token.status, fhir: fhir.status });
+    }
+    return { status: ready ? 'ready' : 'unavailable', checks: { token, fhir } };
+}
+
+// Check every tenant. With a single tenant its checks are the result; with several, each tenant's are
+// reported and the service stays ready while any tenant is, so one health system's outage does not take
+// the service away from the others.
+async function checkDependencies() {
+    const checkedAt = new Date().toISOString();
+    const results = await Promise.all(tenants.list().map(checkTenant));
+    if (!tenants.multiTenant) {
+        return { status: results[0].status, checkedAt, checks: results[0].checks };
+    }
+    return {
+        status: results.some(result => result.status === 'ready') ? 'ready' : 'unavailable',
+        checkedAt,
+        tenants: Object.fromEntries(tenants.list().map((tenant, index) => [tenant.id, results[index]]))
+    };
+}
+
+// Readiness of the service, from cache when the last check is recent enough. Concurrent probes share one check.
+async function readiness() {
+    if (cached && Date.now() - cached.time < CACHE_MS) {
+        return cached.result;
+    }
+    if (!pendingCheck) {
+        pendingCheck = checkDependencies()
+            .then(result => {
+                cached = { time: Date.now(), result };
+                return result;
+            })
+            .finally(() => {
+                pendingCheck = null;
+            });
+    }
+    return pendingCheck;
+}
+
+// Liveness only says the process is running and serving requests; it never calls dependencies
+const liveness = () => ({
+    status: 'alive',
+    uptimeSeconds: Math.round(process.uptime())
+});
+
+module.exports = {
+    readiness,
+    liveness
+};
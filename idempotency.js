@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const { ServiceError } = require('./errors');
+
+// How long a completed response is replayed for the same Idempotency-Key
+const TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 60 * 60 * 1000;
+
+// Scoped key (see scopedKey) -> { fingerprint, state: 'pending' | 'completed', status, body, expiresAt }
+const records = new Map();
+
+const fingerprintOf = req => crypto.createHash('sha256').update(`${req.method} ${req.path} ${JSON.stringify(req.body)}`).digest('hex');
+
+// A client's Idempotency-Key only identifies a request together with the tenant and caller that sent it,
+// so two callers choosing the same key never get each other's responses or resources
+const scopedKey = (req, key) => crypto.createHash('sha256')
+    .update(JSON.stringify([req.tenant ? req.tenant.id : null, req.caller ? req.caller.subject : null, key]))
+    .digest('hex');
+
+function removeExpired() {
+    const now = Date.now();
+    records.forEach((record, key) => {
+        if (record.expiresAt <= now) {
+            records.delete(key);
+        }
+    });
+}
+
+// Express middleware honoring the Idempotency-Key request header. A retried request with the
+// same key gets the original response replayed instead of being processed again; only
+// successful responses are remembered, so failed requests can be retried with the same key.
+function idempotent() {
+    return (req, res, next) => {
+        const key = req.get('Idempotency-Key');
+        if (!key) {
+            return next();
+        }
+        if (key.length > 255 || !/^[\x21-\x7e]+$/.test(key)) {
+            return next(new ServiceError('Idempotency-Key must be 1-255 printable ASCII characters', { status: 400, code: 'invalid_idempotency_key' }));
+        }
+
+        removeExpired();
+        // The scoped key is also what created resources are tagged with, see fhirTransaction.applyIdempotencyKey
+        const recordKey = scopedKey(req, key);
+        req.idempotencyKey = recordKey;
+        const fingerprint = fingerprintOf(req);
+        const existing = records.get(recordKey);
+        if (existing) {
+            if (existing.fingerprint !== fingerprint) {
+                return next(new ServiceError('Idempotency-Key was already used for a different request', { status: 422, code: 'idempotency_key_reused' }));
+            }
+            if (existing.state === 'pending') {
+                return next(new ServiceError('A request with this Idempotency-Key is still being processed', { status: 409, code: 'idempotency_key_in_progress' }));
+            }
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.status).json(existing.body);
+        }
+
+        records.set(recordKey, { fingerprint, state: 'pending', expiresAt: Date.now() + TTL_MS });
+        const json = res.json.bind(res);
+        res.json = body => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                records.set(recordKey, { fingerprint, state: 'completed', status: res.statusCode, body, expiresAt: Date.now() + TTL_MS });
+            } else {
+                records.delete(recordKey);
+            }
+            return json(body);
+        };
+        // Requests that end without a JSON response (e.g. errors) release the key
+        res.on('close', () => {
+            if (records.get(recordKey) && records.get(recordKey).state === 'pending') {
+                records.delete(recordKey);
+            }
+        });
+        return next();
+    };
+}
+
+module.exports = idempotent;
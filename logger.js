@@ -0,0 +1,157 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured JSON logging. Each line is one JSON object with time, level, msg, the request id of the
+// request being served and any extra fields, with PHI and credentials redacted.
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] !== undefined ? process.env.LOG_LEVEL : 'info';
+
+// Keys whose values are never logged: credentials and the patient identifying fields of FHIR
+// resources and of our own request bodies. Matched case-insensitively.
+const REDACTED_KEYS = new Set([
+    'authorization', 'cookie', 'set-cookie', 'access_token', 'refresh_token', 'id_token', 'client_secret',
+    'client_assertion', 'password', 'secret', 'token', 'x-identity-header',
+    'name', 'family', 'given', 'firstname', 'lastname', 'birthdate', 'dateofbirth', 'dob',
+    'telecom', 'phone', 'phonenumber', 'email', 'address', 'address1', 'address2', 'line', 'city',
+    'postalcode', 'zip', 'zipcode', 'identifier', 'text', 'div', 'note', 'valuestring'
+].map(key => key.toLowerCase()));
+
+// Values scrubbed from free text such as error messages
+const TEXT_PATTERNS = [
+    [/Bearer\s+[A-Za-z0-9\-._~+/]+=*/g, 'Bearer [REDACTED]'],
+    [/eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g, '[REDACTED_JWT]'],
+    [/[^\s@"']+@[^\s@"']+\.[A-Za-z]{2,}/g, '[REDACTED_EMAIL]'],
+    [/\(?\b\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}\b/g, '[REDACTED_PHONE]'],
+    [/\b\d{4}-\d{2}-\d{2}\b/g, '[REDACTED_DATE]']
+];
+
+const MAX_DEPTH = 8;
+
+const context = new AsyncLocalStorage();
+
+function redactText(text) {
+    return TEXT_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+// Deep copy of a value with sensitive keys replaced and free text scrubbed
+function redact(value, depth = 0) {
+    if (typeof value === 'string') {
+        return redactText(value);
+    }
+    if (!value || typeof value !== 'object') {
+        return value;
+    }
+    if (depth >= MAX_DEPTH) {
+        return '[Truncated]';
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => redact(item, depth + 1));
+    }
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+        key,
+        REDACTED_KEYS.has(key.toLowerCase()) && item !== undefined && item !== null ? '[REDACTED]' : redact(item, depth + 1)
+    ]));
+}
+
+// Path of a URL without its query string, which may hold search parameters such as names
+const withoutQuery = url => (url ? String(url).split('?')[0] : url);
+
+// Loggable form of an error: axios errors keep the request line and response status and body,
+// never the request config with its headers and payload
+function serializeError(error) {
+    if (!error || typeof error !== 'object') {
+        return { message: redactText(String(error)) };
+    }
+    const serialized = {
+        name: error.name,
+        message: redactText(String(error.message)),
+        code: error.code
+    };
+    if (error.isAxiosError) {
+        serialized.request = error.config ? `${String(error.config.method).toUpperCase()} ${withoutQuery(error.config.url)}` : undefined;
+        serialized.status = error.response ? error.response.status : undefined;
+        serialized.response = error.response ? redact(error.response.data) : undefined;
+        return serialized;
+    }
+    if (error.status) {
+        serialized.status = error.status;
+    }
+    if (error.details !== undefined) {
+        serialized.details = redact(error.details);
+    }
+    if (!error.status || error.status >= 500) {
+        serialized.stack = redactText(String(error.stack));
+    }
+    if (error.cause) {
+        serialized.cause = serializeError(error.cause);
+    }
+    return serialized;
+}
+
+function write(level, msg, fields = {}) {
+    if (LEVELS[level] > LEVELS[LOG_LEVEL]) {
+        return;
+    }
+    const store = context.getStore();
+    const { error, ...rest } = fields;
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        msg: redactText(String(msg)),
+        requestId: store ? store.requestId : undefined,
+        ...redact(rest),
+        error: error ? serializeError(error) : undefined
+    };
+    process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+    error: (msg, fields) => write('error', msg, fields),
+    warn: (msg, fields) => write('warn', msg, fields),
+    info: (msg, fields) => write('info', msg, fields),
+    debug: (msg, fields) => write('debug', msg, fields)
+};
+
+// Request ids accepted from callers; anything else is replaced by a new id
+const REQUEST_ID = /^[A-Za-z0-9\-_.:]{1,128}$/;
+
+// Id of the request being served, for forwarding to the FHIR server
+const currentRequestId = () => {
+    const store = context.getStore();
+    return store ? store.requestId : undefined;
+};
+
+// Express middleware giving each request an id, taken from X-Request-ID or generated, echoing it in the
+// response and making it available to every log line written while serving the request. Logs one access
+// line per request with method, path (no query string), status and duration.
+function requestContext(req, res, next) {
+    const incoming = req.get('X-Request-ID');
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    req.id = requestId;
+    res.set('X-Request-ID', requestId);
+    const started = process.hrtime.bigint();
+
+    context.run({ requestId }, () => {
+        res.on('finish', () => {
+            logger.info('request completed', {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+                caller: req.caller ? req.caller.subject : undefined,
+                tenant: req.tenant ? req.tenant.id : undefined
+            });
+        });
+        next();
+    });
+}
+
+module.exports = {
+    logger,
+    redact,
+    serializeError,
+    requestContext,
+    currentRequestId
+};
@@ -2,132 +2,152 @@ require('dotenv').config();
 
 const express = require('express'); 
 const cors = require('cors'); 
-const axios = require('axios');
-const getAzureADToken = require('./getAzureADToken');
+const fhirClient = require('./fhirClient');
+const tenants = require('./tenants');
+const { ServiceError, ValidationError, AuthorizationError, TokenAcquisitionError } = require('./errors');
+const { parsePageSize, fetchPage, streamNdjson } = require('./fhirPaging');
+const { validateSearchParams } = require('./fhirSearch');
+const { matchPatients, findDuplicatePatients } = require('./patientMatching');
+const { patientSchema, patientUpdateSchema, serviceRequestSchema, consentSchema, taskAssignmentSchema, taskTransitionSchema, messageSchema, validateBody } = require('./requestValidation');
+const { newFullUrl, createTransactionBundle, applyIdempotencyKey, postTransaction } = require('./fhirTransaction');
+const idempotent = require('./idempotency');
+const { updateTask } = require('./taskWorkflow');
+const { ROLES, authenticate, requireRole, missingAuthSettings } = require('./callerAuth');
+const { isAdmin, scopedSearchParams, assertSearchAllowed, eventVisibleTo, assertResourceAccess } = require('./accessControl');
+const { audit, auditDescription } = require('./auditTrail');
+const { fetchReferralResources, getReferralTimeline } = require('./referralTimeline');
+const providerDirectory = require('./providerDirectory');
+const terminology = require('./terminology');
+const { createPatientObject, parseVersion, patientView, getPatient, updatePatient } = require('./patientResource');
+const { createServiceRequestObject, createTaskObject, assertPractitionerRole } = require('./referralResource');
+const { logger, requestContext } = require('./logger');
+const metrics = require('./metrics');
+const { readiness, liveness } = require('./healthChecks');
+const notifications = require('./notifications');
+const bulkExport = require('./bulkExport');
+const csvImport = require('./csvImport');
+const { getWorklist, organizationWorklistParams, changeOwner } = require('./worklists');
+const referralMessages = require('./referralMessages');
+const referralAnalytics = require('./referralAnalytics');
+const { recordScreening, assertFindingsForPatient } = require('./sdohScreening');
+const { recordConsent, listConsents, assertActiveConsent, consentRequiredFor, assertConsentForCaller, withholdUnconsented, revokeConsent } = require('./patientConsent');
 
 const app = express(); 
 
-// Use CORS middleware with specific configuration to allow requests from any origin
-// and to enable credentials and various HTTPS methods
-app.use(cors({
-    origin: "*", // Allow all origins
+// Give every request an id (X-Request-ID) carried by its log lines and forwarded to the FHIR server
+app.use(requestContext);
+app.use(metrics.httpMetrics);
+
+// Use CORS middleware with specific configuration to allow requests from the origins of the request's tenant
+// (CORS_ORIGINS or the tenant's corsOrigins, any origin when unset) and to enable credentials and various HTTPS methods
+app.use(cors((req, callback) => callback(null, {
+    origin: tenants.corsOriginsFor(req),
     credentials: true, // Allow cookies to be sent with requests
-    methods: ["GET", "PUT", "POST", "PATCH", "DELETE", "OPTIONS"] // Allowed HTTPS methods
-}));
+    methods: ["GET", "PUT", "POST", "PATCH", "DELETE", "OPTIONS"], // Allowed HTTPS methods
+    exposedHeaders: ["ETag", "X-Request-ID"] // Let the UI read resource versions for If-Match and request ids
+})));
 app.use(express.json()); // Parse JSON bodies in requests
 
-// Retrieve the FHIR server URL from environment variables
-const fhirServerURL = process.env.FHIR_SERVER_URL;
+// Every request is served for one tenant (health system), named by the X-Tenant-ID header or the host name, see tenants.js
+app.use(tenants.selectTenant);
+
+// Behind a reverse proxy, TRUST_PROXY makes req.ip (recorded in AuditEvents) the real client address
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', process.env.TRUST_PROXY);
+}
+
+// Health checks and metrics are served without a caller token or an Azure AD token, so probes and
+// scrapers work even when Azure AD is down. FHIR Subscription callbacks check their own shared secret.
+const PUBLIC_PATHS = ['/health', '/health/live', '/health/ready', '/metrics', '/notifications/fhir-subscription'];
+
+// Scope of the caller's paging cursors and jobs: the caller within the request's tenant
+const callerScope = req => `${req.tenant.id}:${req.caller.subject}`;
 
-// Middleware to obtain an Azure AD token and attach it to the request object
+// Every other route requires a caller bearer token, see callerAuth.js
+app.use((req, res, next) => (PUBLIC_PATHS.includes(req.path) ? next() : authenticate(req, res, next)));
+
+// Middleware to check the caller belongs to the request's tenant and attach the tenant's FHIR server URL
+// and an Azure AD token for it to the request object. Each tenant's token is cached by its own token
+// manager, so this only hits Azure AD when it is about to expire.
 app.use(async (req, res, next) => {
+    if (PUBLIC_PATHS.includes(req.path)) {
+        next();
+        return;
+    }
     try {
-        const accessToken = await getAzureADToken(); 
-        req.accessToken = accessToken; 
+        const tenant = tenants.requireTenant(req);
+        req.fhirServerURL = tenant.fhirServerURL;
+        req.accessToken = await tenant.getToken();
         next();
     } catch (error) {
         next(error);
     }
 });
 
-// Function to make requests to the FHIR server for a specific resource type
-const makeFHIRRequest = async (req, resourceType) => {
-    const headers = {
-        headers: { 'Authorization': `Bearer ${req.accessToken}` },
-        params: { '_count': '10000' } // Query parameter to specify number of results
-    };
-    return axios.get(`${fhirServerURL}/${resourceType}`, headers); // Make GET request
-};
-
-// Error handling middleware to handle any errors that occur during request processing
-app.use((error, req, res, next) => {
-    console.error('Error:', error); 
-    if (error.response) {
-        res.status(error.response.status).send({ message: 'FHIR Server Error', error: error.response.data });
-    } else if (error.request) {
-        res.status(500).send({ message: 'No response received from FHIR Server', error: error.message });
-    } else {
-        res.status(500).send({ message: 'Error processing your request', error: error.message });
-    }
-});
-
-// Dynamically create route handlers for different FHIR resources
-const resources = ['Task', 'Patient', 'ServiceRequest', 'PractitionerRole', 'Organization', 'Practitioner'];
-resources.forEach(resource => {
-    app.get(`/${resource}`, async (req, res, next) => {
+// Dynamically create route handlers for different FHIR resources.
+// Results are paged: pass pageSize and the nextCursor of the previous response as cursor,
+// or all=true to stream every matching resource as NDJSON.
+// Other query parameters are checked against the resource's search allowlist and forwarded,
+// together with the constraints that limit the caller to the resources it is linked to.
+// Organization staff do not get the resources of patients who have not consented to sharing with their organization.
+// A tenant may enable only some of the resources; the others answer 404.
+tenants.RESOURCES.forEach(resource => {
+    app.get(`/${resource}`, audit('R'), async (req, res, next) => {
         try {
-            const response = await makeFHIRRequest(req, resource);
-            res.status(200).json(response.data.entry);
+            if (!req.tenant.resources.includes(resource)) {
+                throw new ServiceError(`${resource} is not enabled for this tenant`, { status: 404, code: 'resource_not_enabled' });
+            }
+            const searchParams = validateSearchParams(resource, req.query);
+            assertSearchAllowed(req.caller, searchParams);
+            const params = { ...searchParams, ...scopedSearchParams(req.caller, resource) };
+            const withhold = entries => withholdUnconsented(req.fhirServerURL, req.accessToken, req.caller, entries);
+            if (req.query.all === 'true') {
+                await streamNdjson(res, req.fhirServerURL, req.accessToken, resource, params, withhold);
+                return;
+            }
+            const pageSize = parsePageSize(req.query.pageSize);
+            const page = await fetchPage(req.fhirServerURL, req.accessToken, resource, { pageSize, cursor: req.query.cursor, params, cursorScope: callerScope(req) });
+            page.entry = await withhold(page.entry);
+            res.status(200).json(page);
         } catch (error) {
+            if (res.headersSent) {
+                // Part of the NDJSON stream was already sent, so all we can do is cut it short
+                logger.error(`Error streaming ${resource}`, { error });
+                res.destroy(error);
+                return;
+            }
             next(error); 
         }
     });
 });
 
-// Function to search for patients by last name and date of birth
-const searchPatients = async (accessToken, lastName, dob) => {
-    const headers = {
-        headers: { 'Authorization': `Bearer ${accessToken}` },
-        params: { 
-            'family': lastName,
-            'birthdate': dob
-        }
-    };
-    const patients = axios.get(`${fhirServerURL}/Patient?${lastName}&${dob}`, headers);
-    return patients
-};
-
-// Route handler for searching patients by last name and date of birth
-app.get('/search/Patient', async (req, res, next) => {
+// Route handler for searching patients. Accepts lastName, firstName, dob, phone, email, zip
+// and identifier (MRN); results are ranked by match score like FHIR Patient/$match.
+app.get('/search/Patient', audit('R'), requireRole(ROLES.REFERRER, ROLES.ADMIN), async (req, res, next) => {
     try {
-        const accessToken = req.accessToken; 
-        const { lastName, dob } = req.query; 
+        const { lastName, firstName, dob, phone, email, zip, identifier } = req.query;
+        if (![lastName, firstName, dob, phone, email, zip, identifier].some(Boolean)) {
+            throw new ServiceError('At least one search criterion is required', { status: 400, code: 'missing_search_criteria' });
+        }
 
-        const response = await searchPatients(accessToken, lastName, dob); // Call the function to search for patients
-        res.status(200).json(response.data.entry);
+        const matches = await matchPatients(req.fhirServerURL, req.accessToken, req.caller, { lastName, firstName, dob, phone, email, zip, identifier });
+        res.status(200).json(matches);
     } catch (error) {
         next(error);
     }
 });
 
-// Fetch ServiceRequest resources for the given patient ID
-const getServiceRequestsForPatient = async (accessToken, patientId) => {
-    const headers = {
-        headers: { 'Authorization': `Bearer ${accessToken}` },
-        params: { 'subject': `Patient/${patientId}` }
-    };
-    return axios.get(`${fhirServerURL}/ServiceRequest`, headers);
-};
-
-// Fetch Task resources for a given ServiceRequest ID
-const getTasksForServiceRequest = async (accessToken, serviceRequestId) => {
-    const queryUrl = `${fhirServerURL}/Task?focus:ServiceRequest=${serviceRequestId}`;
-    return axios.get(queryUrl, {
-        headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${accessToken}`
-        }
-    });
-};
-
-// Combine the logic in the route handler
-app.get('/modal/:patientId', async (req, res, next) => {
+// Route handler returning a patient's ServiceRequests and their Tasks as two lists.
+// Both come from a single ServiceRequest search with _revinclude=Task:focus.
+app.get('/modal/:patientId', audit('R'), async (req, res, next) => {
     const { patientId } = req.params;
 
     try {
         const accessToken = req.accessToken;
+        await assertResourceAccess(req.fhirServerURL, accessToken, req.caller, 'Patient', patientId);
+        await assertConsentForCaller(req.fhirServerURL, accessToken, req.caller, patientId);
 
-        // Fetch ServiceRequest resources for the patient
-        const serviceRequestsResponse = await getServiceRequestsForPatient(accessToken, patientId);
-        const serviceRequests = serviceRequestsResponse.data.entry || [];
-
-        // Extract ServiceRequest IDs
-        const serviceRequestIds = serviceRequests.map(entry => entry.resource.id);
-
-        // Fetch Task resources for each ServiceRequest ID
-        const taskPromises = serviceRequestIds.map(serviceRequestId => getTasksForServiceRequest(accessToken, serviceRequestId));
-        const tasksResponses = await Promise.all(taskPromises);
-        const tasks = tasksResponses.flatMap(response => response.data.entry || []);
+        const { serviceRequests, tasks } = await fetchReferralResources(req.fhirServerURL, accessToken, patientId, scopedSearchParams(req.caller, 'ServiceRequest'));
 
         // Combine results
         const combinedResults = {
@@ -141,293 +161,36 @@ app.get('/modal/:patientId', async (req, res, next) => {
     }
 });
 
-// Language code mapping
-const languageCodeMapping = {
-    "Polish": "pl",
-    "Chinese": "zh",
-    "Tagalog": "tl",
-    "Arabic": "ar",
-    "Urdu": "ur",
-    "Gujarati": "gu",
-    "Russian": "ru",
-    "Hindi": "hi",
-    "Korean": "ko",
-    "English": "en"
-};
-
-const ethnicityCodeMapping = {
-    "Asked but unknown": "ASKU",
-    "Hispanic or Latino": "2135-2",
-    "Not Hispanic or Latino": "2186-5",
-    "Unknown": "UNK"
-}
-
-const raceCodeMapping = {
-    "American Indian or Alaska Native": "1002-5",
-    "Asian": "2028-9",
-    "Asked but unknown": "ASKU",
-    "Black or African American": "2054-5",
-    "Native Hawaiian or Other Pacific Islander": "2076-8",
-    "Other Race": "2131-1",
-    "Unknown": "UNK",
-    "White": "2106-3"
-}
-
-const sexAtBirthCodeMapping = {
-    "Asked but unknown": "ASKU",
-    "Female": "F",
-    "Male": "M",
-    "Other": "OTH",
-    "Unknown": "UNK"
-}
-
-//this fucntion creates a patient with the values coming from UI
-function createPatientObject(
-    firstName,
-    lastName,
-    dateOfBirth,
-    gender,
-    race,
-    sex_at_birth,
-    ethnicity,
-    genderIdentity,
-    sexualOrientation,
-    language,
-    phoneNumber,
-    email,
-    address1,
-    address2,
-    city,
-    state,
-    zipcode
-) {
-    const LanguageCode = languageCodeMapping[language] || "UNK";
-    const ethnicityCode = ethnicityCodeMapping[ethnicity] || "UNK";
-    const raceCode = raceCodeMapping[race] || "UNK";
-    const sexAtBirthCode = sexAtBirthCodeMapping[sex_at_birth] || "UNK";
-
-    const patient = {
-        "resourceType": "Patient",
-        "active": true,
-        "name": [
-            {
-                "use": "official",
-                "family": lastName,
-                "given": [firstName]
-            }
-        ],
-        "gender": gender,
-        "birthDate": dateOfBirth,
-        "telecom": [
-            {
-                "system": "phone",
-                "value": phoneNumber
-            },
-            {
-                "system": "email",
-                "value": email
-            }
-        ],
-        "address": [
-            {
-                "use": "home",
-                "line": [address1, address2],
-                "city": city,
-                "state": state,
-                "postalCode": zipcode
-            }
-        ],
-        "communication": [
-            {
-                "language": {
-                    "coding": [
-                        {
-                            "system": "urn:ietf:bcp:47",
-                            "code": LanguageCode,
-                            "display":language
-                        }
-                    ],
-                    "text": language
-                },
-                "preferred": true
-            }
-        ],
-        "extension": [
-            {
-                "url": "http://hl7.org/fhir/StructureDefinition/us-core-race",
-                "extension": [
-                    {
-                        "url": "ombCategory",
-                        "valueCoding": {
-                            "system": "urn:oid:2.16.840.1.113883.6.238",
-                            "code": raceCode,
-                            "display": race
-                        }
-                    },
-                    {
-                        "url": "text",
-                        "valueString": race
-                    }
-                ]
-            },
-            {
-                "url": "http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity",
-                "extension": [
-                    {
-                        "url": "ombCategory",
-                        "valueCoding": {
-                            "system": "urn:oid:2.16.840.1.113883.6.238",
-                            "code": ethnicityCode,
-                            "display": ethnicity
-                        }
-                    },
-                    {
-                        "url": "text",
-                        "valueString": ethnicity
-                    }   
-                ]
-            },
-            {
-                "url": "http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex",
-                "valueCode": sexAtBirthCode
-            }
-        ]
-    };
-
-    if (genderIdentity) {
-        patient.extension.push({
-                "url": "https://docs.mydata.athenahealth.com/fhir-r4/StructureDefinition/athena-patient-extension-genderIdentity",
-                "valueCodeableConcept": {
-                    "coding": [
-                        {
-                            "system": "https://docs.mydata.athenahealth.com/fhir-r4/athenaFlex/genderIdentity",
-                            "display": genderIdentity
-                        }
-                    ],
-                    "text": genderIdentity
-                }
-            });
-    }
+// Route handler for a patient's referral timeline: each referral with its Tasks, requester and performer
+// names and Task status history, newest first. Optional filters: status (comma separated Task statuses),
+// from and to (YYYY-MM-DD, on the referral's authored date) and history=false to skip status history.
+app.get('/Patient/:patientId/referrals', audit('R'), async (req, res, next) => {
+    const { patientId } = req.params;
+    const { status, from, to, history } = req.query;
 
-    if (sexualOrientation) {
-        patient.extension.push({
-                "url": "https://docs.mydata.athenahealth.com/fhir-r4/StructureDefinition/athena-patient-extension-sexualOrientation",
-                "valueCodeableConcept": {
-                    "coding": [
-                        {
-                            "system": "https://docs.mydata.athenahealth.com/fhir-r4/athenaFlex/sexualOrientation",
-                            "display": sexualOrientation
-                        }
-                    ],
-                    "text": sexualOrientation
-                }
-            });
+    try {
+        const invalidDate = [from, to].find(date => date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+        if (invalidDate !== undefined) {
+            throw new ServiceError('from and to must be dates in YYYY-MM-DD format', { status: 400, code: 'invalid_date_range' });
+        }
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        await assertConsentForCaller(req.fhirServerURL, req.accessToken, req.caller, patientId);
+
+        const referrals = await getReferralTimeline(req.fhirServerURL, req.accessToken, patientId, {
+            scopeParams: scopedSearchParams(req.caller, 'ServiceRequest'),
+            statuses: status ? String(status).split(',') : undefined,
+            from,
+            to,
+            includeHistory: history !== 'false'
+        });
+        res.status(200).json({ patient: `Patient/${patientId}`, referrals });
+    } catch (error) {
+        next(error);
     }
-    return patient;
-}
-
-//this fucntion creates a Service Request with the values coming from UI
-function createServiceRequestObject(
-    patientID,
-    practitionerId,
-    practitionerName,
-    organizationId,
-    organizationName,
-    referralText,
-    serviceRequestText
-) {
-    const serviceRequest = {
-        "resourceType": "ServiceRequest",
-        "status": "active",
-        "intent": "order",
-        "category": [
-            {
-                "coding": [
-                    {
-                        "system": "codesystem/ordercategory",
-                        "code": "referrals",
-                        "display": "Referrals"
-                    }
-                ],
-                "text": "Referrals"
-            }
-        ],
-        "code": {
-            "text": `${serviceRequestText}`
-        },
-        "subject": {
-            "reference": `Patient/${patientID}`  
-        },
-        "requester": {
-            "reference": `Practitioner/${practitionerId}`,  
-            "display": practitionerName
-        },
-        "performer": [
-            {
-                "reference": `Organization/${organizationId}`,  
-                "display": organizationName
-            }
-        ],
-        "note": [
-            {
-                "text": referralText
-            }
-        ]
-    };
-    return serviceRequest;
-}
-
-//this fucntion creates a Task with the values coming from UI
-function createTaskObject(
-    patientId,
-    serviceRequest,
-    practitionerId,
-    practitionerName,
-    organizationId,
-    organizationName
-) {
-    task = {
-        "resourceType": "Task",
-        "meta": {
-            "profile": [
-                "http://hl7.org/fhir/us/sdoh-clinicalcare/StructureDefinition/SDOHCC-TaskForReferralManagement"
-            ]
-        },
-        "status": "requested",
-        "intent": "order",
-        "code": {
-            "coding": [
-                {
-                    "system": "http://hl7.org/fhir/CodeSystem/task-code",
-                    "code": "fulfill",
-                    "display": "Fulfill the service request"
-                }
-            ]
-        },
-        "focus": {
-            "reference": `ServiceRequest/${serviceRequest}`
-        },
-        "for": {
-            "reference": `Patient/${patientId}`
-        },
-        "authoredOn": new Date().toISOString(),
-        "requester": {
-            "reference": `Practitioner/${organizationId}`,
-            "display": organizationName
-        },
-        "businessStatus": {
-            "text": "Received"
-        },
-        "owner": {
-            "reference": "PractitionerRole/example-practitionerRole",
-            "display": "Dr. Owners"
-        },
-    };
-    return task;
-}
+});
 
-// POST endpoint for creating a patient
-app.post('/createPatient', async (req, res) => {
+// POST endpoint for creating a patient, the body is validated against patientSchema
+app.post('/createPatient', audit('C'), requireRole(ROLES.REFERRER, ROLES.ADMIN), validateBody(patientSchema), async (req, res, next) => {
     try {
         const {
             firstName,
@@ -449,6 +212,25 @@ app.post('/createPatient', async (req, res) => {
             zipcode
         } = req.body;
 
+        // Refuse to create a likely duplicate unless the caller confirmed it is a different person
+        if (req.body.confirmNotDuplicate !== true) {
+            const duplicates = await findDuplicatePatients(req.fhirServerURL, req.accessToken, req.caller, {
+                firstName,
+                lastName,
+                dob: dateOfBirth,
+                phone: phoneNumber,
+                email,
+                zip: zipcode
+            });
+            if (duplicates.length > 0) {
+                res.status(409).json({
+                    message: 'Possible duplicate patients found. Resubmit with confirmNotDuplicate set to true to create the patient anyway.',
+                    duplicates
+                });
+                return;
+            }
+        }
+
         const patient = createPatientObject(
             firstName,
             lastName,
@@ -468,9 +250,13 @@ app.post('/createPatient', async (req, res) => {
             state,
             zipcode
         );
-        const fhirServerURL =  process.env.FHIR_SERVER_URL;
-        const accessToken = await getAzureADToken();
-        const response = await axios.post(`${fhirServerURL}/Patient`, patient, {
+        // The referrer creating the patient becomes their general practitioner, which links them to the
+        // patient (see accessControl.js) so they can record consent and screenings before referring them
+        if (req.caller.roles.includes(ROLES.REFERRER) && req.caller.practitionerId) {
+            patient.generalPractitioner = [{ reference: `Practitioner/${req.caller.practitionerId}` }];
+        }
+        const accessToken = req.accessToken;
+        const response = await fhirClient.post(`${req.fhirServerURL}/Patient`, patient, {
             headers: {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${accessToken}`
@@ -479,15 +265,21 @@ app.post('/createPatient', async (req, res) => {
 
         res.status(201).json(response.data);
     } catch (error) {
-        console.error('Error creating patient:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
-        throw error;
+        next(error);
     }
 });
 
-// POST endpoint for creating a ServiceRequest and also task  
-app.post('/createServiceRequestandtask', async (req, res) => {
+// POST endpoint for creating a ServiceRequest and also task, the body is validated against serviceRequestSchema.
+// Both are created in one FHIR transaction, so a failure never leaves a ServiceRequest without its Task.
+// Clients may send an Idempotency-Key header so a retried submission does not create a second referral.
+// The patient must have consented to sharing with the performing organization, see POST /Patient/:patientId/consents.
+app.post('/createServiceRequestandtask', audit('C'), requireRole(ROLES.REFERRER, ROLES.ADMIN), validateBody(serviceRequestSchema), idempotent(), async (req, res, next) => {
     try {
+        // Referrers can only refer on their own behalf
+        if (!isAdmin(req.caller) && req.body.practitionerId !== req.caller.practitionerId) {
+            throw new AuthorizationError('Referrals can only be created for the calling practitioner');
+        }
+
         const {
             patientID,
             practitionerId,
@@ -495,8 +287,18 @@ app.post('/createServiceRequestandtask', async (req, res) => {
             organizationId,
             organizationName,
             referralText,
-            serviceRequestText
+            serviceRequestText,
+            reasonReference,
+            practitionerRoleId,
+            priority
         } = req.body;
+        if (practitionerRoleId) {
+            await assertPractitionerRole(req.fhirServerURL, req.accessToken, practitionerId, practitionerRoleId);
+        }
+        const consent = await assertActiveConsent(req.fhirServerURL, req.accessToken, patientID, organizationId);
+        if (reasonReference) {
+            await assertFindingsForPatient(req.fhirServerURL, req.accessToken, patientID, reasonReference);
+        }
 
         const serviceRequest = createServiceRequestObject(
             patientID,
@@ -505,156 +307,597 @@ app.post('/createServiceRequestandtask', async (req, res) => {
             organizationId,
             organizationName,
             referralText,
-            serviceRequestText
+            serviceRequestText,
+            reasonReference,
+            consent.id,
+            priority
         );
+        const serviceRequestFullUrl = newFullUrl();
 
-        const fhirServerURL =  process.env.FHIR_SERVER_URL;
-        const accessToken = await getAzureADToken();
-        const serviceRequestResponse = await axios.post(`${fhirServerURL}/ServiceRequest`, serviceRequest, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
-        const serviceRequestId = serviceRequestResponse.data.id;
-
-        // Create Task
+        // Create Task pointing at the ServiceRequest entry of the transaction
         const task = createTaskObject(
             patientID,
-            serviceRequestId,
+            serviceRequestFullUrl,
             practitionerId,
             practitionerName,
             organizationId,
-            organizationName
+            organizationName,
+            practitionerRoleId,
+            priority
         );
 
-        const taskResponse = await axios.post(`${fhirServerURL}/Task`, task, {
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${accessToken}`
-            }
-        });
+        const serviceRequestEntry = { resource: serviceRequest, fullUrl: serviceRequestFullUrl };
+        const taskEntry = { resource: task };
+        if (req.idempotencyKey) {
+            // Conditional creates make the transaction itself idempotent, even across restarts
+            serviceRequestEntry.ifNoneExist = applyIdempotencyKey(serviceRequest, req.idempotencyKey);
+            taskEntry.ifNoneExist = applyIdempotencyKey(task, req.idempotencyKey);
+        }
+
+        const bundle = createTransactionBundle([serviceRequestEntry, taskEntry]);
+        const [createdServiceRequest, createdTask] = await postTransaction(req.fhirServerURL, req.accessToken, bundle);
 
         res.status(201).json({
-            serviceRequest: serviceRequestResponse.data,
-            task: taskResponse.data
+            serviceRequest: createdServiceRequest,
+            task: createdTask
         });
     } catch (error) {
-        console.error('Error creating service request:', error);
-        res.status(500).json({ error: 'Internal Server Error' });
+        next(error);
+    }
+});
+
+// Route handler recording a completed SDOH screening (AHC HRSN or PRAPARE) for a patient. The body is a
+// QuestionnaireResponse or { instrument, authored, answers }; see sdohScreening.js. The QuestionnaireResponse
+// is stored with the Observations and Conditions derived from it, and the Condition references are returned
+// for the reasonReference of the referral.
+app.post('/Patient/:patientId/screenings', audit('C'), requireRole(ROLES.REFERRER, ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        const author = req.caller.practitionerId ? { reference: `Practitioner/${req.caller.practitionerId}` } : undefined;
+        const screening = await recordScreening(req.fhirServerURL, req.accessToken, patientId, req.body, author);
+        res.status(201).json(screening);
+    } catch (error) {
+        next(error);
     }
 });
 
-// Route handler for PUT requests on the Task resource
-app.post('/update/Task/:taskId', async (req, res, next) => {
+// Route handler recording a patient's consent to share referral data with an organization until the expires date
+app.post('/Patient/:patientId/consents', audit('C'), requireRole(ROLES.REFERRER, ROLES.ADMIN), validateBody(consentSchema), async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        const recorder = req.caller.practitionerId ? `Practitioner/${req.caller.practitionerId}` : undefined;
+        const consent = await recordConsent(req.fhirServerURL, req.accessToken, patientId, req.body, recorder);
+        res.status(201).json(consent);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Route handler listing a patient's consents, newest first, including expired and withdrawn ones
+app.get('/Patient/:patientId/consents', audit('R'), requireRole(ROLES.REFERRER, ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        const consents = await listConsents(req.fhirServerURL, req.accessToken, patientId);
+        res.status(200).json({ patient: `Patient/${patientId}`, consents });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Route handler withdrawing a consent. Open Tasks of the patient's referrals to the organization are
+// cancelled unless another consent still covers it; the response lists them. Only the practitioner who
+// recorded the consent and admins may withdraw it.
+app.post('/Patient/:patientId/consents/:consentId/revoke', audit('U'), requireRole(ROLES.REFERRER, ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const { patientId, consentId } = req.params;
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        const consent = await revokeConsent(req.fhirServerURL, req.accessToken, req.caller, patientId, consentId);
+        res.status(200).json(consent);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Check the transition form of a Task update; a JSON Patch is checked while it is applied
+const validateTaskUpdate = (req, res, next) => (Array.isArray(req.body) ? next() : validateBody(taskTransitionSchema)(req, res, next));
+
+// The updated Task as the caller may see it: in full, or only its id, version and status when its patient has
+// not consented to sharing with the caller's organization (see patientConsent.js)
+async function taskForCaller(req, task) {
+    const [visible] = await withholdUnconsented(req.fhirServerURL, req.accessToken, req.caller, [{ resource: task }]);
+    return visible ? task : {
+        resourceType: 'Task',
+        id: task.id,
+        meta: {
+            versionId: task.meta.versionId,
+            lastUpdated: task.meta.lastUpdated,
+            tag: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue', code: 'SUBSETTED' }]
+        },
+        status: task.status
+    };
+}
+
+// Route handler for updating a Task through the referral workflow. The body is either a JSON Patch
+// or { status, statusReason, businessStatus, note, output }; invalid status transitions are rejected. A referrer
+// may only cancel the referral or add a reason and notes.
+app.post('/update/Task/:taskId', audit('U'), validateTaskUpdate, async (req, res, next) => {
     try {
         const {taskId} = req.params; 
         const updateData = req.body; 
-        const response = await updateTask(taskId, updateData); // Update the Task in the FHIR server
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Task', taskId);
+        const updatedTask = await updateTask(req.fhirServerURL, req.accessToken, taskId, updateData, { caller: req.caller }); // Update the Task in the FHIR server
         
         // Respond with the updated Task data
-        res.status(200).json(response);
+        res.status(200).json(await taskForCaller(req, updatedTask));
     } catch (error) {
         next(error);
     }
 });
 
-async function updateTask(taskId, patchBody) {
+// Withhold the Tasks of patients who have not consented to sharing with the caller's organization, when that applies
+const worklistFilter = req => (consentRequiredFor(req.caller)
+    ? entries => withholdUnconsented(req.fhirServerURL, req.accessToken, req.caller, entries)
+    : undefined);
+
+// Route handler for an Organization's referral worklist: the Tasks of the referrals it performs, with the
+// number in each status. Optional: owner (unassigned or a Practitioner id), status (comma separated, open
+// statuses by default), sort (age, -age or priority), pageSize and cursor.
+app.get('/Organization/:organizationId/worklist', audit('R'), requireRole(ROLES.CBO_STAFF, ROLES.ADMIN), async (req, res, next) => {
     try {
-      // Retrieve the FHIR server URL from environment variables
-      const fhirServerURL = process.env.FHIR_SERVER_URL;
-      const taskUrl = `${fhirServerURL}/Task/${taskId}`;
-      const accessToken = await getAzureADToken();
-      const headers = {
-        'Authorization': `Bearer ${accessToken}`,
-        'Content-Type': 'application/json-patch+json'
-      };
+        const { organizationId } = req.params;
+        if (!isAdmin(req.caller) && req.caller.organizationId !== organizationId) {
+            throw new AuthorizationError('Organization staff can only see the worklist of their own organization');
+        }
+        const worklist = await getWorklist(req.fhirServerURL, req.accessToken, organizationWorklistParams(organizationId, req.query.owner), req.query, {
+            filterTasks: worklistFilter(req),
+            cursorScope: callerScope(req)
+        });
+        res.status(200).json({ organization: `Organization/${organizationId}`, ...worklist });
+    } catch (error) {
+        next(error);
+    }
+});
 
-      // Send the PATCH request to update the Task
-      await axios.patch(taskUrl, JSON.stringify(patchBody), {headers});
+// Route handler for a staff member's worklist: the Tasks owned by the Practitioner, within the caller's
+// organization. Takes the status, sort, pageSize and cursor parameters of the organization worklist.
+app.get('/Practitioner/:practitionerId/worklist', audit('R'), requireRole(ROLES.CBO_STAFF, ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const { practitionerId } = req.params;
+        const params = { 'owner': `Practitioner/${practitionerId}`, ...scopedSearchParams(req.caller, 'Task') };
+        const worklist = await getWorklist(req.fhirServerURL, req.accessToken, params, req.query, {
+            filterTasks: worklistFilter(req),
+            cursorScope: callerScope(req)
+        });
+        res.status(200).json({ practitioner: `Practitioner/${practitionerId}`, ...worklist });
+    } catch (error) {
+        next(error);
+    }
+});
 
+// Who made an ownership change, for the note recorded on the Task
+const noteAuthor = caller => (caller.practitionerId ? { authorReference: { reference: `Practitioner/${caller.practitionerId}` } } : { authorString: caller.subject });
+
+// Route handlers changing who owns an open Task: claim takes it for the calling staff member, reassign gives it
+// to another staff member of the performing organization ({ practitionerId }) and release hands it back to the
+// organization. Each change adds a note to the Task and returns the updated Task, as far as the caller may see it.
+const handleOwnerChange = action => async (req, res, next) => {
+    try {
+        const { taskId } = req.params;
+        if (action === 'claim' && !req.caller.practitionerId) {
+            throw new AuthorizationError('Claiming a Task requires a token that identifies a Practitioner');
+        }
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Task', taskId);
+        const task = await changeOwner(req.fhirServerURL, req.accessToken, taskId, {
+            action,
+            assignee: action === 'claim' ? req.caller.practitionerId : req.body.practitionerId,
+            author: noteAuthor(req.caller)
+        });
+        res.status(200).json(await taskForCaller(req, task));
     } catch (error) {
-      console.error('Failed to update Task', error.response ? error.response.data : error.message);
-      throw new Error('Error updating Task: ' + (error.response ? error.response.data : error.message));
+        next(error);
     }
+};
+
+app.post('/Task/:taskId/claim', audit('U'), requireRole(ROLES.CBO_STAFF, ROLES.ADMIN), handleOwnerChange('claim'));
+app.post('/Task/:taskId/reassign', audit('U'), requireRole(ROLES.CBO_STAFF, ROLES.ADMIN), validateBody(taskAssignmentSchema), handleOwnerChange('reassign'));
+app.post('/Task/:taskId/release', audit('U'), requireRole(ROLES.CBO_STAFF, ROLES.ADMIN), handleOwnerChange('release'));
+
+// The referral of a Task the caller is linked to, for its message thread. Organization staff also need the patient's consent.
+async function referralForMessages(req) {
+    const { taskId } = req.params;
+    await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Task', taskId);
+    const referral = await referralMessages.loadReferral(req.fhirServerURL, req.accessToken, taskId);
+    if (referral.patientId) {
+        await assertConsentForCaller(req.fhirServerURL, req.accessToken, req.caller, referral.patientId);
+    }
+    return referral;
 }
 
-async function fetchAllBundles() {
+// Route handler for a referral's message thread: the messages on the Task, oldest first, with the names
+// of the participants and the number of messages to the caller that are not read yet
+app.get('/Task/:taskId/messages', audit('R'), async (req, res, next) => {
+    try {
+        const referral = await referralForMessages(req);
+        res.status(200).json(await referralMessages.getThread(req.fhirServerURL, req.accessToken, req.caller, referral));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Route handler posting a message on a referral: { text, recipient, attachments }. The recipient defaults to
+// the Task owner for referrers and to the referring practitioner for everyone else.
+app.post('/Task/:taskId/messages', audit('C'), validateBody(messageSchema), idempotent(), async (req, res, next) => {
     try {
-        // Retrieve the FHIR server URL from environment variables
-        const fhirServerURL = process.env.FHIR_SERVER_URL;
-        const bundleUrl = `${fhirServerURL}/Bundle`;
+        const referral = await referralForMessages(req);
+        res.status(201).json(await referralMessages.postMessage(req.fhirServerURL, req.accessToken, req.caller, referral, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Assuming getAzureADToken function is defined somewhere to retrieve Azure AD token
-        const accessToken = await getAzureADToken();
+// Route handler for the read receipt of a message: its recipient marks it read
+app.post('/Task/:taskId/messages/:messageId/read', audit('U'), async (req, res, next) => {
+    try {
+        const { taskId, messageId } = req.params;
+        await referralForMessages(req);
+        res.status(200).json(await referralMessages.markRead(req.fhirServerURL, req.accessToken, req.caller, taskId, messageId));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const headers = {
-            'Authorization': `Bearer ${accessToken}`
-        };
+// Route handler returning a Patient with its version and the friendly fields the UI edits.
+// The ETag carries the version to send back as If-Match when updating.
+app.get('/Patient/:patientId', audit('R'), async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        await assertConsentForCaller(req.fhirServerURL, req.accessToken, req.caller, patientId);
+        const patient = await getPatient(req.fhirServerURL, req.accessToken, patientId);
+        res.set('ETag', `W/"${patient.meta.versionId}"`).status(200).json(patientView(patient));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Make GET request to fetch Bundles
-        const response = await axios.get(bundleUrl, { headers });
+// Route handler updating a Patient with any subset of the /createPatient fields, merged into the
+// stored resource. Requires If-Match with the version read; a stale version gets a 412 with the current one.
+const handlePatientUpdate = async (req, res, next) => {
+    try {
+        const { patientId } = req.params;
+        await assertResourceAccess(req.fhirServerURL, req.accessToken, req.caller, 'Patient', patientId);
+        const patient = await updatePatient(req.fhirServerURL, req.accessToken, patientId, req.body, parseVersion(req.get('If-Match')));
+        res.set('ETag', `W/"${patient.meta.versionId}"`).status(200).json(patientView(patient));
+    } catch (error) {
+        next(error);
+    }
+};
+
+app.patch('/Patient/:patientId', audit('U'), validateBody(patientUpdateSchema), handlePatientUpdate);
+app.post('/update/Patient/:patientId', audit('U'), validateBody(patientUpdateSchema), handlePatientUpdate);
+
+// Route handler returning the AuditEvents recorded for a patient, newest first, paged like the resource routes
+app.get('/audit/Patient/:patientId', requireRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const pageSize = parsePageSize(req.query.pageSize);
+        const params = { 'entity': `Patient/${req.params.patientId}`, '_sort': '-date' };
+        const page = await fetchPage(req.fhirServerURL, req.accessToken, 'AuditEvent', { pageSize, cursor: req.query.cursor, params, cursorScope: callerScope(req) });
+        res.status(200).json(page);
+    } catch (error) {
+        next(error);
+    }
+});
 
-        // Check if response is successful and has data
-        if (!response || !response.data || !response.data.entry) {
-            throw new Error('No Bundles found or invalid response.');
+// Route handler returning the display name of a Practitioner, looked up in the provider directory
+app.get('/PractitionerID/:practitionerId', async (req, res, next) => {
+    const { practitionerId } = req.params; // Extract practitionerId from URL params
+
+    try {
+        const practitioner = await providerDirectory.getById(req.fhirServerURL, 'Practitioner', practitionerId);
+        if (practitioner) {
+            res.status(200).json(practitioner.name); // Send JSON response with the found Practitioner
+        } else {
+            res.status(404).json({ error: `Practitioner with ID '${practitionerId}' not found.` });
         }
+    } catch (error) {
+        next(error);
+    }
+});
 
-        const bundles = response.data.entry;
+// Provider directory lookups, served from the local index in providerDirectory.js.
+// Organization search (name prefix, specialty) backs the performer typeahead of the referral form.
+app.get('/directory/Organization', async (req, res, next) => {
+    try {
+        const { name, specialty, limit } = req.query;
+        res.status(200).json(await providerDirectory.searchOrganizations(req.fhirServerURL, { name, specialty, limit }));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        return bundles; // Return array of Bundles
+app.get('/directory/Practitioner', async (req, res, next) => {
+    try {
+        const { name, organization, specialty, limit } = req.query;
+        res.status(200).json(await providerDirectory.searchPractitioners(req.fhirServerURL, { name, organization, specialty, limit }));
     } catch (error) {
-        console.error('Error fetching Bundles:', error);
-        throw error;
+        next(error);
     }
-}
+});
 
-// Express route handler
-app.get('/PractitionerID/:practitionerId', async (req, res) => {
-    const { practitionerId } = req.params; // Extract practitionerId from URL params
+app.get('/directory/:resourceType(Organization|Practitioner|PractitionerRole)/:id', async (req, res, next) => {
+    try {
+        const { resourceType, id } = req.params;
+        const entry = await providerDirectory.getById(req.fhirServerURL, resourceType, id);
+        if (!entry) {
+            throw new ServiceError(`${resourceType} with ID '${id}' not found`, { status: 404, code: 'not_found' });
+        }
+        res.status(200).json(entry);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Terminology served from the CodeSystem and ValueSet files loaded by terminology.js, so the UI can
+// build its race, ethnicity, sex at birth, gender identity and language pick lists
+app.get('/ValueSet', (req, res) => {
+    res.status(200).json(terminology.listValueSets());
+});
 
+// ValueSet/$expand by canonical url (?url=) or id, with optional filter, offset and count
+const expandValueSet = (idOrUrl, req, res, next) => {
     try {
-        // Fetch all Bundles using the access token
-        const bundles = await fetchAllBundles();
+        if (!idOrUrl) {
+            throw new ServiceError('The url parameter is required', { status: 400, code: 'invalid_request' });
+        }
+        const { filter, offset, count } = req.query;
+        res.status(200).type('application/fhir+json').send(terminology.expand(idOrUrl, { filter, offset, count }));
+    } catch (error) {
+        next(error);
+    }
+};
 
-        let foundPractitioner = null;
+app.get('/ValueSet/\\$expand', (req, res, next) => expandValueSet(req.query.url, req, res, next));
 
-        // Iterate through bundles to find the Practitioner by ID
-        for (let i = 0; i < bundles.length; i++) {
-            const entries = bundles[i].resource.entry; // Assuming 'entry' is an array of entries in each bundle
-            
-            for (let j = 0; j < entries.length; j++) {
-                const entry = entries[j];
-                if (entry.resource && entry.resource.resourceType === 'Practitioner' && entry.resource.id === practitionerId) {
-                    foundPractitioner = `${entry.resource.name[0].given[0]} ${entry.resource.name[0].family}`;
-                    break; // Exit the inner loop once the Practitioner is found
-                }
-            }
+app.get('/ValueSet/:id/\\$expand', (req, res, next) => expandValueSet(req.params.id, req, res, next));
 
-            if (foundPractitioner) {
-                break; // Exit the outer loop once the Practitioner is found
-            }
+app.get('/CodeSystem/\\$lookup', (req, res, next) => {
+    try {
+        const { system, code } = req.query;
+        if (!system || !code) {
+            throw new ServiceError('The system and code parameters are required', { status: 400, code: 'invalid_request' });
         }
+        res.status(200).type('application/fhir+json').send(terminology.lookup(system, code));
+    } catch (error) {
+        next(error);
+    }
+});
 
-        if (foundPractitioner) {
-            res.status(200).json(foundPractitioner); // Send JSON response with the found Practitioner
-        } else {
-            res.status(404).json({ error: `Practitioner with ID '${practitionerId}' not found in any Bundle.` });
+// Route handler for referral outcome metrics (created, acceptance rate, median hours to accept and to
+// complete, rejection reasons), overall and grouped by performer organization, category and month.
+// Optional: from and to (YYYY-MM-DD), groupBy, format=csv and refresh=true to include the latest changes.
+app.get('/analytics/referrals', requireRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        const analytics = await referralAnalytics.getReferralAnalytics(req.tenant, req.query, { refreshFirst: req.query.refresh === 'true' });
+        if (req.query.format === 'csv') {
+            res.status(200).type('text/csv').attachment('referral-analytics.csv').send(referralAnalytics.toCsv(analytics));
+            return;
+        }
+        res.status(200).json(analytics);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Bulk export of Patients, ServiceRequests and Tasks as NDJSON files, following the FHIR Bulk Data
+// kick-off / status / download pattern. Parameters: _type, _since, _outputFormat and deidentify=true.
+// The export runs in the background; the Content-Location of the 202 answer is the status URL to poll.
+app.get('/\\$export', audit('R'), requireRole(ROLES.ADMIN), (req, res, next) => {
+    try {
+        const options = bulkExport.parseExportRequest(req.query, req.get('Prefer'));
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const job = bulkExport.startExport(req.fhirServerURL, req.accessToken, callerScope(req), `${baseUrl}${req.originalUrl}`, options);
+        res.set('Content-Location', `${baseUrl}/$export-status/${job.id}`).status(202).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Status of an export: 202 with X-Progress while it runs, the completion manifest once done,
+// or an OperationOutcome when it failed
+app.get('/\\$export-status/:jobId', requireRole(ROLES.ADMIN), (req, res, next) => {
+    try {
+        const job = bulkExport.getJob(req.params.jobId, callerScope(req));
+        if (job.status === 'in-progress') {
+            res.set({ 'X-Progress': job.progress, 'Retry-After': String(bulkExport.POLL_SECONDS) }).status(202).end();
+            return;
+        }
+        if (job.status === 'failed') {
+            res.status(500).json({
+                resourceType: 'OperationOutcome',
+                issue: [{ severity: 'error', code: 'exception', diagnostics: job.error }]
+            });
+            return;
         }
+        res.status(200).json(bulkExport.manifest(job, `${req.protocol}://${req.get('host')}`));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Cancel a running export or delete a finished one with its files
+app.delete('/\\$export-status/:jobId', requireRole(ROLES.ADMIN), async (req, res, next) => {
+    try {
+        await bulkExport.deleteJob(bulkExport.getJob(req.params.jobId, callerScope(req)));
+        res.status(202).end();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Download one NDJSON file listed in an export's manifest
+app.get('/\\$export-file/:jobId/:file', audit('R'), requireRole(ROLES.ADMIN), (req, res, next) => {
+    try {
+        const job = bulkExport.getJob(req.params.jobId, callerScope(req));
+        const file = bulkExport.outputFile(job, req.params.file);
+        const output = job.output.find(o => o.file === req.params.file);
+        auditDescription(res, `Bulk export ${job.id} file ${output.file}: ${output.count} ${output.type} resources${job.deidentify ? ', de-identified' : ''}`);
+        res.type('application/fhir+ndjson').sendFile(file, error => {
+            if (error && !res.headersSent) {
+                next(error);
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Route handler for importing patients with their referrals from a CSV file (Content-Type: text/csv), one
+// referral per row, as a background job: mode=dry-run checks every row and reports its issues without creating
+// anything; mode=commit imports the rows without issues. The Content-Location of the 202 answer is the job to
+// poll. mapping (JSON) maps import fields to column headers that differ from the field names.
+app.post('/import/referrals', audit('C'), requireRole(ROLES.REFERRER, ROLES.ADMIN), express.text({ type: 'text/csv', limit: csvImport.MAX_BYTES }), async (req, res, next) => {
+    try {
+        const { mode, mapping } = csvImport.parseImportRequest(req.query);
+        const rows = csvImport.readRows(req.body, mapping);
+        const job = csvImport.startImport(req.fhirServerURL, req.accessToken, req.caller, callerScope(req), rows, mode);
+        res.set('Content-Location', `${req.protocol}://${req.get('host')}/import/jobs/${job.id}`)
+            .status(202)
+            .json(csvImport.getImport(job.id, callerScope(req)));
     } catch (error) {
-        console.error('Error in GET /PractitionerID:', error);
-        res.status(500).json({ error: 'Failed to fetch or process data.' });
+        next(error);
     }
 });
 
+// Progress of a CSV import and the outcome of each row: its issues for a dry run; created (with the resources),
+// skipped (with its issues) or failed for a commit
+app.get('/import/jobs/:jobId', requireRole(ROLES.REFERRER, ROLES.ADMIN), (req, res, next) => {
+    try {
+        res.status(200).json(csvImport.getImport(req.params.jobId, callerScope(req)));
+    } catch (error) {
+        next(error);
+    }
+});
 
-// Simple route handler for '/health' to confirm the service is running
-app.get('/health', (req, res) => {
-    res.status(200).json({ "message": "Backend Service is healthy" });
+// Server-Sent Events stream of Task and ServiceRequest changes on the caller's referrals. Optional filters:
+// organization, patient and types (comma separated, e.g. Task.created,Task.updated). Clients reconnecting
+// with Last-Event-ID get the events they missed, as long as they are still buffered.
+app.get('/notifications/stream', (req, res, next) => {
+    try {
+        const filter = notifications.parseEventFilter(req.query);
+        scopedSearchParams(req.caller, 'Task'); // rejects callers without access to referral data
+
+        res.status(200).set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // keep reverse proxies from buffering the stream
+        });
+        res.flushHeaders();
+        res.write('retry: 5000\n\n');
+
+        const send = event => res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        const accepts = event => eventVisibleTo(req.caller, event) && notifications.matchesFilter(event, filter);
+        const unsubscribe = notifications.subscribe(req.tenant, accepts, send, req.get('Last-Event-ID'));
+        const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 25000);
+        req.on('close', () => {
+            clearInterval(keepAlive);
+            unsubscribe();
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Callback endpoint of a FHIR Subscription (rest-hook) on Task and ServiceRequest. The Subscription
+// sends "Authorization: Bearer <the tenant's subscription token>" as a channel header, and with several
+// tenants also the tenant header.
+app.post('/notifications/fhir-subscription', express.json({ type: ['application/json', 'application/fhir+json'] }), async (req, res, next) => {
+    try {
+        const tenant = tenants.requireTenant(req);
+        res.status(200).json(await notifications.ingestNotification(tenant, req.get('Authorization'), req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Webhook registrations, managed by administrators. Deliveries are signed with HMAC-SHA256, see README.
+app.get('/notifications/webhooks', requireRole(ROLES.ADMIN), (req, res) => {
+    res.status(200).json(notifications.listWebhooks(req.tenant));
+});
+
+app.post('/notifications/webhooks', requireRole(ROLES.ADMIN), (req, res, next) => {
+    try {
+        res.status(201).json(notifications.registerWebhook(req.tenant, req.body));
+    } catch (error) {
+        next(error);
+    }
+});
+
+app.delete('/notifications/webhooks/:id', requireRole(ROLES.ADMIN), (req, res, next) => {
+    if (!notifications.removeWebhook(req.tenant, req.params.id)) {
+        next(new ServiceError(`Webhook '${req.params.id}' not found`, { status: 404, code: 'not_found' }));
+        return;
+    }
+    res.status(204).end();
+});
+
+// Liveness: the process is up. '/health' is kept for existing probes.
+const handleLiveness = (req, res) => {
+    res.status(200).json({ "message": "Backend Service is healthy", ...liveness() });
+};
+
+app.get('/health', handleLiveness);
+app.get('/health/live', handleLiveness);
+
+// Readiness: Azure AD issues tokens and the FHIR server answers /metadata. Results are cached briefly.
+app.get('/health/ready', async (req, res, next) => {
+    try {
+        const result = await readiness();
+        res.status(result.status === 'ready' ? 200 : 503).json(result);
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Prometheus metrics in the text exposition format
+app.get('/metrics', (req, res) => {
+    res.type('text/plain; version=0.0.4').send(metrics.render());
+});
+
+// Error handling middleware to handle any errors that occur during request processing.
+// Registered after all routes so errors passed to next() reach it.
+app.use((error, req, res, next) => {
+    const status = error.status || (error.response && error.response.status) || 500;
+    logger[status >= 500 ? 'error' : 'warn']('Request failed', { method: req.method, path: req.path, error });
+    if (error instanceof ValidationError) {
+        res.status(error.status).type('application/fhir+json').send(error.toOperationOutcome());
+    } else if (error instanceof TokenAcquisitionError) {
+        // What Azure AD said is in the log above; it describes our credentials, not the caller's request
+        res.status(error.status).send({ message: 'The FHIR server is temporarily unavailable', code: error.code });
+    } else if (error instanceof ServiceError) {
+        res.status(error.status).send({ message: error.message, code: error.code, error: error.details });
+    } else if (error.response) {
+        res.status(error.response.status).send({ message: 'FHIR Server Error', error: error.response.data });
+    } else if (error.request) {
+        res.status(500).send({ message: 'No response received from FHIR Server', error: error.message });
+    } else {
+        res.status(500).send({ message: 'Error processing your request', error: error.message });
+    }
 });
 
 // Start the server on a specified port, defaulting to 3000 if not specified
 const port = process.env.PORT;
 app.listen(port, () => {
-    console.log(`Server is running on port ${port}`); 
+    logger.info(`Server is running on port ${port}`);
+    const missing = missingAuthSettings();
+    if (missing.length > 0) {
+        logger.error(`Caller authentication is not configured, every request will be refused: set ${missing.join(', ')}`);
+    }
+    tenants.list().filter(tenant => tenant.configurationError).forEach(tenant => {
+        logger.error(`Tenant '${tenant.id}' is not configured: ${tenant.configurationError.message}`, { tenant: tenant.id });
+    });
+    notifications.start();
 });
@@ -0,0 +1,114 @@
+// Minimal Prometheus metrics registry rendering the text exposition format served on /metrics.
+// Counters and histograms are kept in memory per label set; collected metrics read their value at scrape time.
+
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const registry = [];
+
+const escapeLabel = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels).filter(([, value]) => value !== undefined);
+    return entries.length > 0 ? `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}` : '';
+}
+
+// Series are keyed on their label values in labelNames order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name]))));
+
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+    const metric = {
+        name,
+        help,
+        type: 'counter',
+        inc(labels = {}, value = 1) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) || { labels, value: 0 };
+            current.value += value;
+            series.set(key, current);
+        },
+        lines: () => [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`)
+    };
+    registry.push(metric);
+    return metric;
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    const metric = {
+        name,
+        help,
+        type: 'histogram',
+        observe(labels = {}, value) {
+            const key = seriesKey(labelNames, labels);
+            const current = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) {
+                    current.counts[index] += 1;
+                }
+            });
+            current.sum += value;
+            current.count += 1;
+            series.set(key, current);
+        },
+        lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+            ...buckets.map((bound, index) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+            `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+            `${name}_sum${formatLabels(labels)} ${sum}`,
+            `${name}_count${formatLabels(labels)} ${count}`
+        ])
+    };
+    registry.push(metric);
+    return metric;
+}
+
+// A metric whose value is read when scraped, e.g. from a module's own state. collect returns a
+// number or a list of { labels, value }.
+function collected(name, help, type, collect) {
+    const metric = {
+        name,
+        help,
+        type,
+        lines: () => {
+            const value = collect();
+            const samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+            return samples.map(sample => `${name}${formatLabels(sample.labels)} ${sample.value}`);
+        }
+    };
+    registry.push(metric);
+    return metric;
+}
+
+// All metrics in the Prometheus text exposition format
+function render() {
+    return registry.map(metric => [
+        `# HELP ${metric.name} ${metric.help}`,
+        `# TYPE ${metric.name} ${metric.type}`,
+        ...metric.lines()
+    ].join('\n')).join('\n') + '\n';
+}
+
+const httpRequests = counter('http_requests_total', 'HTTP requests served, by method, route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency, by method and route', ['method', 'route']);
+
+// Express middleware counting requests and their latency per route. The route label is the Express
+// route pattern (e.g. /Patient/:patientId), so ids do not multiply series; unmatched requests,
+// including those rejected before routing, are labelled "unmatched".
+function httpMetrics(req, res, next) {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+        httpRequests.inc({ method: req.method, route, status: res.statusCode });
+        httpDuration.observe({ method: req.method, route }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+}
+
+module.exports = {
+    counter,
+    histogram,
+    collected,
+    render,
+    httpMetrics
+};
@@ -0,0 +1,375 @@
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const axios = require('axios');
+const tenants = require('./tenants');
+const { fetchAllPages } = require('./fhirPaging');
+const { ServiceError } = require('./errors');
+const { logger } = require('./logger');
+const metrics = require('./metrics');
+
+// Task and ServiceRequest changes are detected by polling _lastUpdated every POLL_INTERVAL_MS, or
+// pushed by the FHIR server through a Subscription (NOTIFICATIONS_SOURCE=subscription turns polling off)
+const SOURCE = process.env.NOTIFICATIONS_SOURCE || 'poll';
+const POLL_INTERVAL_MS = Number(process.env.NOTIFICATIONS_POLL_INTERVAL_MS || 30000);
+// The shared secret the FHIR server sends as "Authorization: Bearer <token>" on Subscription callbacks
+// is configured per tenant, see tenants.js.
+// Optional file keeping webhook registrations across restarts, one per tenant (see tenants.fileFor)
+const WEBHOOKS_FILE = process.env.NOTIFICATIONS_WEBHOOKS_FILE;
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 6);
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000);
+
+const WATCHED_TYPES = ['Task', 'ServiceRequest'];
+const EVENT_TYPES = WATCHED_TYPES.flatMap(type => [`${type}.created`, `${type}.updated`]);
+
+// Recent events kept for SSE clients reconnecting with Last-Event-ID
+const REPLAY_BUFFER_SIZE = 1000;
+// Resource versions already published, so overlapping polls and callbacks do not repeat events
+const SEEN_VERSIONS_SIZE = 10000;
+
+// Tenant id -> the tenant's events, subscribers and webhooks. Events of one tenant never reach another's.
+const channels = new Map();
+
+let pollTimer = null;
+
+function channelFor(tenant) {
+    if (!channels.has(tenant.id)) {
+        channels.set(tenant.id, {
+            tenant,
+            recentEvents: [],
+            seenVersions: new Set(),
+            subscribers: new Set(),
+            // Webhook id -> { id, url, secret, filter, createdAt, lastDelivery }
+            webhooks: new Map(),
+            since: null,
+            pendingPoll: null
+        });
+    }
+    return channels.get(tenant.id);
+}
+
+const eventsPublished = metrics.counter('notification_events_total', 'Task and ServiceRequest change events published, by type', ['type']);
+const webhookDeliveries = metrics.counter('webhook_deliveries_total', 'Webhook delivery attempts, by outcome', ['outcome']);
+metrics.collected('notification_stream_clients', 'Connected Server-Sent Events clients', 'gauge',
+    () => [...channels.values()].reduce((total, channel) => total + channel.subscribers.size, 0));
+
+const referenceOf = value => (value && value.reference) || null;
+const asReference = (value, type) => (value && !value.includes('/') ? `${type}/${value}` : value);
+
+// Event for a changed Task or ServiceRequest. Only references and statuses are included; subscribers
+// read the resource itself through the API, where access control applies.
+function toEvent(resource, serviceRequest) {
+    const referral = resource.resourceType === 'ServiceRequest' ? resource : serviceRequest || {};
+    const organizations = [
+        referenceOf(resource.owner),
+        ...(referral.performer || []).map(referenceOf)
+    ].filter(reference => reference && reference.startsWith('Organization/'));
+    const versionId = resource.meta && resource.meta.versionId;
+
+    return {
+        id: crypto.randomUUID(),
+        type: `${resource.resourceType}.${versionId === '1' ? 'created' : 'updated'}`,
+        resource: `${resource.resourceType}/${resource.id}`,
+        versionId,
+        lastUpdated: resource.meta && resource.meta.lastUpdated,
+        status: resource.status,
+        businessStatus: resource.businessStatus ? resource.businessStatus.text : undefined,
+        serviceRequest: referral.id ? `ServiceRequest/${referral.id}` : referenceOf(resource.focus),
+        patient: referenceOf(resource.for) || referenceOf(resource.subject) || referenceOf(referral.subject),
+        requester: referenceOf(referral.requester),
+        organizations: [...new Set(organizations)]
+    };
+}
+
+// Subscriber filter from query or body fields: organization, patient and types (comma separated)
+function parseEventFilter({ organization, patient, types } = {}) {
+    const typeList = types ? String(types).split(',').map(type => type.trim()).filter(Boolean) : null;
+    const unknown = (typeList || []).filter(type => !EVENT_TYPES.includes(type));
+    if (unknown.length > 0) {
+        throw new ServiceError(`Unknown event types: ${unknown.join(', ')}. Use ${EVENT_TYPES.join(', ')}`, { status: 400, code: 'invalid_event_type' });
+    }
+    return {
+        organization: organization ? asReference(String(organization), 'Organization') : null,
+        patient: patient ? asReference(String(patient), 'Patient') : null,
+        types: typeList
+    };
+}
+
+const matchesFilter = (event, filter) => (!filter.organization || event.organizations.includes(filter.organization))
+    && (!filter.patient || event.patient === filter.patient)
+    && (!filter.types || filter.types.includes(event.type));
+
+// HMAC-SHA256 signature of a webhook body, over "<timestamp>.<body>"
+const signPayload = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// POST an event to a webhook, retrying failed deliveries with exponential backoff
+async function deliver(channel, webhook, event, attempt = 1) {
+    if (!channel.webhooks.has(webhook.id)) {
+        return; // removed while a retry was pending
+    }
+    const body = JSON.stringify(event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+        await axios.post(webhook.url, body, {
+            timeout: WEBHOOK_TIMEOUT_MS,
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Acleap-Event': event.type,
+                'X-Acleap-Delivery': event.id,
+                'X-Acleap-Timestamp': String(timestamp),
+                'X-Acleap-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+            }
+        });
+        webhookDeliveries.inc({ outcome: 'delivered' });
+        webhook.lastDelivery = { eventId: event.id, status: 'delivered', attempts: attempt, at: new Date().toISOString() };
+    } catch (error) {
+        const failure = error.response ? `HTTP ${error.response.status}` : error.code || error.message;
+        webhook.lastDelivery = { eventId: event.id, status: 'failed', attempts: attempt, error: failure, at: new Date().toISOString() };
+        if (attempt >= WEBHOOK_MAX_ATTEMPTS) {
+            webhookDeliveries.inc({ outcome: 'dropped' });
+            logger.error('Giving up webhook delivery', { webhook: webhook.id, event: event.id, attempts: attempt, failure });
+            return;
+        }
+        webhookDeliveries.inc({ outcome: 'retried' });
+        const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1) * (0.5 + Math.random() / 2);
+        setTimeout(() => deliver(channel, webhook, event, attempt + 1), delay).unref();
+    }
+}
+
+// Send an event to the tenant's SSE subscribers and webhooks whose filters match
+function publish(channel, event) {
+    channel.recentEvents.push(event);
+    if (channel.recentEvents.length > REPLAY_BUFFER_SIZE) {
+        channel.recentEvents.shift();
+    }
+    eventsPublished.inc({ type: event.type });
+    channel.subscribers.forEach(subscriber => {
+        if (subscriber.accepts(event)) {
+            subscriber.send(event);
+        }
+    });
+    channel.webhooks.forEach(webhook => {
+        if (matchesFilter(event, webhook.filter)) {
+            deliver(channel, webhook, event);
+        }
+    });
+}
+
+// Remember a resource version, returning false when it was already published
+function markSeen(channel, resource) {
+    const key = `${resource.resourceType}/${resource.id}/${resource.meta && resource.meta.versionId}`;
+    if (channel.seenVersions.has(key)) {
+        return false;
+    }
+    channel.seenVersions.add(key);
+    if (channel.seenVersions.size > SEEN_VERSIONS_SIZE) {
+        channel.seenVersions.delete(channel.seenVersions.values().next().value);
+    }
+    return true;
+}
+
+// Fetch resources by id, for Task focus ServiceRequests and id-only Subscription notifications
+async function fetchByIds(fhirServerURL, accessToken, resourceType, ids) {
+    const resources = new Map();
+    if (ids.length > 0) {
+        await fetchAllPages(fhirServerURL, accessToken, resourceType, { params: { '_id': ids.join(',') } }, page => {
+            page.entry.forEach(({ resource }) => resources.set(resource.id, resource));
+        });
+    }
+    return resources;
+}
+
+// Publish events for changed resources of the tenant, resolving the ServiceRequest of each Task for filtering.
+// Returns the number of events published.
+async function publishChanges(channel, accessToken, resources) {
+    const { fhirServerURL } = channel.tenant;
+    const changed = resources.filter(resource => WATCHED_TYPES.includes(resource.resourceType) && markSeen(channel, resource));
+    const focusIds = [...new Set(changed
+        .filter(resource => resource.resourceType === 'Task' && /^ServiceRequest\//.test(referenceOf(resource.focus)))
+        .map(task => task.focus.reference.split('/')[1]))];
+    const serviceRequests = await fetchByIds(fhirServerURL, accessToken, 'ServiceRequest', focusIds);
+
+    changed
+        .sort((a, b) => (a.meta.lastUpdated < b.meta.lastUpdated ? -1 : 1))
+        .forEach(resource => {
+            const focusId = resource.resourceType === 'Task' && referenceOf(resource.focus) ? resource.focus.reference.split('/')[1] : null;
+            publish(channel, toEvent(resource, focusId ? serviceRequests.get(focusId) : null));
+        });
+    return changed.length;
+}
+
+// Look for Tasks and ServiceRequests of the tenant changed since its previous poll
+async function pollChanges(channel) {
+    const { fhirServerURL } = channel.tenant;
+    const accessToken = await channel.tenant.getToken();
+    const resources = [];
+    let newest = channel.since;
+    for (const type of WATCHED_TYPES) {
+        const params = { '_lastUpdated': `ge${channel.since}`, '_sort': '_lastUpdated' };
+        await fetchAllPages(fhirServerURL, accessToken, type, { params }, page => {
+            page.entry.forEach(({ resource }) => {
+                resources.push(resource);
+                if (resource.meta && resource.meta.lastUpdated > newest) {
+                    newest = resource.meta.lastUpdated;
+                }
+            });
+        });
+    }
+    await publishChanges(channel, accessToken, resources);
+    channel.since = newest;
+}
+
+// Run a poll of the tenant now unless one is already running
+function poll(tenant) {
+    const channel = channelFor(tenant);
+    if (!channel.pendingPoll) {
+        channel.since = channel.since || new Date().toISOString();
+        channel.pendingPoll = pollChanges(channel)
+            .catch(error => logger.error('Failed to poll for Task and ServiceRequest changes', { tenant: tenant.id, error }))
+            .finally(() => {
+                channel.pendingPoll = null;
+            });
+    }
+    return channel.pendingPoll;
+}
+
+// Handle a FHIR Subscription callback of the tenant's FHIR server: an R4B/R5 notification Bundle with full
+// resources or ids only, or an empty R4 rest-hook ping. Handshakes and heartbeats are acknowledged and ignored.
+async function ingestNotification(tenant, authorization, bundle) {
+    const expected = `Bearer ${tenant.subscriptionToken}`;
+    if (!tenant.subscriptionToken) {
+        throw new ServiceError('Subscription callbacks are not configured', { status: 404, code: 'not_found' });
+    }
+    if (!authorization || authorization.length !== expected.length
+        || !crypto.timingSafeEqual(Buffer.from(authorization), Buffer.from(expected))) {
+        throw new ServiceError('Invalid subscription callback token', { status: 401, code: 'authentication_required' });
+    }
+
+    const entries = bundle && Array.isArray(bundle.entry) ? bundle.entry : [];
+    const resources = entries.map(entry => entry.resource).filter(resource => resource && WATCHED_TYPES.includes(resource.resourceType));
+    const idOnly = entries
+        .filter(entry => !entry.resource && entry.fullUrl)
+        .map(entry => /(Task|ServiceRequest)\/([A-Za-z0-9\-.]{1,64})(\/_history\/.*)?$/.exec(entry.fullUrl))
+        .filter(Boolean);
+
+    if (resources.length === 0 && idOnly.length === 0) {
+        const statusEntry = entries.find(entry => entry.resource && ['SubscriptionStatus', 'Parameters'].includes(entry.resource.resourceType));
+        const isControl = statusEntry && /handshake|heartbeat/.test(JSON.stringify(statusEntry.resource));
+        // An empty R4 rest-hook ping only says something changed: look for it with a _lastUpdated search.
+        // In poll mode the regular poll picks it up anyway.
+        if (!isControl && SOURCE === 'subscription') {
+            poll(tenant);
+        }
+        return { published: 0 };
+    }
+
+    const channel = channelFor(tenant);
+    const accessToken = await tenant.getToken();
+    for (const type of WATCHED_TYPES) {
+        const ids = idOnly.filter(match => match[1] === type).map(match => match[2]);
+        const fetched = await fetchByIds(tenant.fhirServerURL, accessToken, type, ids);
+        resources.push(...fetched.values());
+    }
+    return { published: await publishChanges(channel, accessToken, resources) };
+}
+
+// Register an SSE subscriber to the tenant's events. accepts decides which events it gets; events after
+// lastEventId that are still in the replay buffer are sent first. Returns a function ending the subscription.
+function subscribe(tenant, accepts, send, lastEventId) {
+    const channel = channelFor(tenant);
+    if (lastEventId) {
+        const index = channel.recentEvents.findIndex(event => event.id === lastEventId);
+        if (index !== -1) {
+            channel.recentEvents.slice(index + 1).filter(accepts).forEach(send);
+        }
+    }
+    const subscriber = { accepts, send };
+    channel.subscribers.add(subscriber);
+    return () => channel.subscribers.delete(subscriber);
+}
+
+function saveWebhooks(channel) {
+    const file = tenants.fileFor(WEBHOOKS_FILE, channel.tenant);
+    if (file) {
+        const stored = [...channel.webhooks.values()].map(({ id, url, secret, filter, createdAt }) => ({ id, url, secret, filter, createdAt }));
+        fs.writeFileSync(file, JSON.stringify(stored, null, 2), { mode: 0o600 });
+    }
+}
+
+function loadWebhooks(channel) {
+    const file = tenants.fileFor(WEBHOOKS_FILE, channel.tenant);
+    if (file && fs.existsSync(file)) {
+        JSON.parse(fs.readFileSync(file, 'utf8')).forEach(webhook => channel.webhooks.set(webhook.id, webhook));
+    }
+}
+
+// Webhook as listed to administrators, without its secret
+const describeWebhook = ({ id, url, filter, createdAt, lastDelivery }) => ({ id, url, filter, createdAt, lastDelivery });
+
+// Register a webhook for the tenant's events matching the filter. Webhooks must use https, except on localhost.
+// The secret signing the deliveries is generated unless one is given, and only returned here.
+function registerWebhook(tenant, { url, secret, organization, patient, types } = {}) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw new ServiceError('url must be an absolute URL', { status: 400, code: 'invalid_webhook' });
+    }
+    const local = ['localhost', '127.0.0.1', '[::1]'].includes(parsed.hostname);
+    if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && local)) {
+        throw new ServiceError('Webhook url must use https', { status: 400, code: 'invalid_webhook' });
+    }
+    if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+        throw new ServiceError('secret must be a string of at least 16 characters', { status: 400, code: 'invalid_webhook' });
+    }
+
+    const webhook = {
+        id: crypto.randomUUID(),
+        url: parsed.toString(),
+        secret: secret || crypto.randomBytes(32).toString('hex'),
+        filter: parseEventFilter({ organization, patient, types }),
+        createdAt: new Date().toISOString()
+    };
+    const channel = channelFor(tenant);
+    channel.webhooks.set(webhook.id, webhook);
+    saveWebhooks(channel);
+    return { ...describeWebhook(webhook), secret: webhook.secret };
+}
+
+const listWebhooks = tenant => [...channelFor(tenant).webhooks.values()].map(describeWebhook);
+
+function removeWebhook(tenant, id) {
+    const channel = channelFor(tenant);
+    const removed = channel.webhooks.delete(id);
+    saveWebhooks(channel);
+    return removed;
+}
+
+// Load every tenant's registered webhooks and start polling for changes (unless a Subscription pushes them)
+function start() {
+    tenants.list().forEach(tenant => {
+        const channel = channelFor(tenant);
+        loadWebhooks(channel);
+        channel.since = channel.since || new Date().toISOString();
+    });
+    if (SOURCE !== 'subscription' && !pollTimer) {
+        pollTimer = setInterval(() => tenants.list().forEach(poll), POLL_INTERVAL_MS);
+        pollTimer.unref();
+    }
+}
+
+module.exports = {
+    EVENT_TYPES,
+    parseEventFilter,
+    matchesFilter,
+    signPayload,
+    subscribe,
+    ingestNotification,
+    poll,
+    registerWebhook,
+    listWebhooks,
+    removeWebhook,
+    start
+};
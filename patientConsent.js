@@ -0,0 +1,256 @@
+const fhirClient = require('./fhirClient');
+const { fetchAllPages } = require('./fhirPaging');
+const { fetchReferralResources } = require('./referralTimeline');
+const { TERMINAL_STATUSES, updateTask } = require('./taskWorkflow');
+const { ROLES } = require('./callerAuth');
+const { isAdmin } = require('./accessControl');
+const { ServiceError, AuthorizationError, ConsentRequiredError } = require('./errors');
+const { logger } = require('./logger');
+
+// Patient consents to share referral data with a community-based organization, stored as FHIR R4
+// Consent resources: a privacy consent permitting the named Organization (information recipient)
+// to receive the data until the expiry date.
+
+// Consents are looked up for at most this many patients in one search
+const PATIENT_BATCH_SIZE = 100;
+
+const PRIVACY_SCOPE = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/consentscope', code: 'patient-privacy', display: 'Privacy Consent' }]
+};
+const PATIENT_CONSENT_CATEGORY = {
+    coding: [{ system: 'http://loinc.org', code: '59284-0', display: 'Patient Consent' }]
+};
+const OPT_IN_POLICY = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode', code: 'OPTIN', display: 'opt-in' }]
+};
+const RECIPIENT_ROLE = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ParticipationType', code: 'IRCP', display: 'information recipient' }]
+};
+
+// Extension naming the Practitioner who recorded a Consent; only they (or an admin) may withdraw it
+const RECORDER_EXTENSION = 'urn:acleap:consent-recorder';
+
+const consentUrl = (fhirServerURL, consentId) => `${fhirServerURL}/Consent/${encodeURIComponent(consentId)}`;
+
+// Create a Consent recorded now, in force from today until the end of the expires date.
+// recorder is the reference of the Practitioner recording it, when there is one.
+function createConsentObject(patientId, { organizationId, organizationName, expires }, recorder) {
+    const now = new Date().toISOString();
+    return {
+        resourceType: 'Consent',
+        ...(recorder ? { extension: [{ url: RECORDER_EXTENSION, valueReference: { reference: recorder } }] } : {}),
+        status: 'active',
+        scope: PRIVACY_SCOPE,
+        category: [PATIENT_CONSENT_CATEGORY],
+        patient: { reference: `Patient/${patientId}` },
+        dateTime: now,
+        performer: [{ reference: `Patient/${patientId}` }],
+        policyRule: OPT_IN_POLICY,
+        provision: {
+            type: 'permit',
+            period: { start: now.slice(0, 10), end: expires },
+            actor: [{ role: RECIPIENT_ROLE, reference: { reference: `Organization/${organizationId}`, display: organizationName } }]
+        }
+    };
+}
+
+// A period bound as a time; a date-only start begins and a date-only end lasts until the end of that day (UTC)
+const boundTime = (value, isEnd) => Date.parse(value.length === 10 ? `${value}T${isEnd ? '23:59:59.999' : '00:00:00.000'}Z` : value);
+
+// The Organization a Consent permits to receive data
+function recipientOf(consent) {
+    const actor = ((consent.provision || {}).actor || []).find(a => ((a.role && a.role.coding) || []).some(c => c.code === RECIPIENT_ROLE.coding[0].code));
+    return actor ? actor.reference : null;
+}
+
+// The Practitioner who recorded a Consent, or null for consents recorded without one
+function recorderOf(consent) {
+    const extension = (consent.extension || []).find(e => e.url === RECORDER_EXTENSION);
+    return extension && extension.valueReference ? extension.valueReference.reference : null;
+}
+
+// Whether the Consent is active and its provision period covers the given time
+function isInForce(consent, time = Date.now()) {
+    const period = (consent.provision && consent.provision.period) || {};
+    return consent.status === 'active'
+        && (!period.start || boundTime(period.start, false) <= time)
+        && (!period.end || time <= boundTime(period.end, true));
+}
+
+// Summary of a Consent for the UI, with the resource itself
+const consentView = consent => ({
+    id: consent.id,
+    status: consent.status,
+    inForce: isInForce(consent),
+    organization: recipientOf(consent),
+    recorded: consent.dateTime,
+    recordedBy: recorderOf(consent),
+    expires: ((consent.provision || {}).period || {}).end || null,
+    consent
+});
+
+// Record a patient's consent to share referral data with an organization. The body is validated against consentSchema.
+async function recordConsent(fhirServerURL, accessToken, patientId, body, recorder) {
+    const response = await fhirClient.post(`${fhirServerURL}/Consent`, createConsentObject(patientId, body, recorder), {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/fhir+json'
+        }
+    });
+    return consentView(response.data);
+}
+
+// Consents of the patients (Patient/<id> references) permitting the organization to receive data, optionally only active ones
+async function searchConsents(fhirServerURL, accessToken, patientReferences, { organizationId, activeOnly = false } = {}) {
+    const consents = [];
+    for (let i = 0; i < patientReferences.length; i += PATIENT_BATCH_SIZE) {
+        const batch = patientReferences.slice(i, i + PATIENT_BATCH_SIZE);
+        const params = { 'patient': batch.join(',') };
+        if (organizationId) {
+            params.actor = `Organization/${organizationId}`;
+        }
+        if (activeOnly) {
+            params.status = 'active';
+        }
+        await fetchAllPages(fhirServerURL, accessToken, 'Consent', { params }, page => {
+            // The server narrows the search; the same conditions are checked here on what it returns
+            page.entry.map(entry => entry.resource)
+                .filter(consent => consent.resourceType === 'Consent' && batch.includes((consent.patient || {}).reference))
+                .filter(consent => !organizationId || (recipientOf(consent) || {}).reference === `Organization/${organizationId}`)
+                .filter(consent => !activeOnly || isInForce(consent))
+                .forEach(consent => consents.push(consent));
+        });
+    }
+    return consents;
+}
+
+// Every Consent recorded for a patient, newest first
+async function listConsents(fhirServerURL, accessToken, patientId) {
+    const consents = await searchConsents(fhirServerURL, accessToken, [`Patient/${patientId}`]);
+    return consents
+        .sort((a, b) => String(b.dateTime || '').localeCompare(String(a.dateTime || '')))
+        .map(consentView);
+}
+
+// The Consent in force that lets the organization receive the patient's data. Throws ConsentRequiredError when there is none.
+async function assertActiveConsent(fhirServerURL, accessToken, patientId, organizationId) {
+    const [consent] = await searchConsents(fhirServerURL, accessToken, [`Patient/${patientId}`], { organizationId, activeOnly: true });
+    if (!consent) {
+        throw new ConsentRequiredError(
+            `Patient/${patientId} has not consented to sharing their data with Organization/${organizationId}, or the consent has expired or been withdrawn. `
+            + `Referral data is only shared with the organization once the patient's consent is recorded with POST /Patient/${patientId}/consents.`,
+            { details: { patient: `Patient/${patientId}`, organization: `Organization/${organizationId}` } }
+        );
+    }
+    return consent;
+}
+
+// Reads by community-based organization staff are limited to patients who consented to sharing with the
+// staff's organization. Referrers and admins are not limited.
+const consentRequiredFor = caller => !isAdmin(caller) && !caller.roles.includes(ROLES.REFERRER) && caller.roles.includes(ROLES.CBO_STAFF);
+
+// Make sure the caller may read the patient's data under the patient's consents
+async function assertConsentForCaller(fhirServerURL, accessToken, caller, patientId) {
+    if (consentRequiredFor(caller)) {
+        await assertActiveConsent(fhirServerURL, accessToken, patientId, caller.organizationId);
+    }
+}
+
+// The Patient a Patient, ServiceRequest or Task is about
+function patientReferenceOf(resource) {
+    if (resource.resourceType === 'Patient') {
+        return `Patient/${resource.id}`;
+    }
+    const patient = resource.subject || resource.for;
+    return patient ? patient.reference : null;
+}
+
+// Drop the search entries of patients who have not consented to sharing with the caller's organization.
+// Resources that are not about a patient are kept.
+async function withholdUnconsented(fhirServerURL, accessToken, caller, entries) {
+    if (!consentRequiredFor(caller)) {
+        return entries;
+    }
+    const patients = [...new Set(entries.map(entry => patientReferenceOf(entry.resource)).filter(Boolean))];
+    if (patients.length === 0) {
+        return entries;
+    }
+    const consents = await searchConsents(fhirServerURL, accessToken, patients, { organizationId: caller.organizationId, activeOnly: true });
+    const consented = new Set(consents.map(consent => consent.patient.reference));
+    return entries.filter(entry => {
+        const patient = patientReferenceOf(entry.resource);
+        return !patient || consented.has(patient);
+    });
+}
+
+// Cancel the open Tasks of the patient's referrals to the organization. A Task that cannot be cancelled
+// (e.g. changed concurrently) is reported in failed rather than stopping the others.
+async function cancelOpenTasks(fhirServerURL, accessToken, patientId, organizationId) {
+    const { tasks } = await fetchReferralResources(fhirServerURL, accessToken, patientId, { 'performer': `Organization/${organizationId}` });
+    const cancelled = [];
+    const failed = [];
+    for (const { resource: task } of tasks) {
+        if (TERMINAL_STATUSES.includes(task.status)) {
+            continue;
+        }
+        try {
+            await updateTask(fhirServerURL, accessToken, task.id, {
+                status: 'cancelled',
+                statusReason: 'Patient withdrew consent to share their data with the organization'
+            });
+            cancelled.push(`Task/${task.id}`);
+        } catch (error) {
+            logger.error('Could not cancel Task after consent withdrawal', { task: `Task/${task.id}`, error });
+            failed.push({ task: `Task/${task.id}`, message: error.message });
+        }
+    }
+    return { cancelled, failed };
+}
+
+// Withdraw a consent: the Consent becomes inactive with its period ending now. Unless another consent
+// still covers the same organization, the open Tasks of the patient's referrals to it are cancelled.
+// Only admins and the practitioner who recorded the consent may withdraw it.
+async function revokeConsent(fhirServerURL, accessToken, caller, patientId, consentId) {
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+    const current = (await fhirClient.get(consentUrl(fhirServerURL, consentId), { headers })).data;
+    if ((current.patient || {}).reference !== `Patient/${patientId}`) {
+        throw new ServiceError(`Consent '${consentId}' is not a consent of Patient/${patientId}`, { status: 404, code: 'not_found' });
+    }
+    if (!isAdmin(caller) && (!caller.practitionerId || recorderOf(current) !== `Practitioner/${caller.practitionerId}`)) {
+        throw new AuthorizationError(`Consent '${consentId}' can only be withdrawn by the practitioner who recorded it or an admin`);
+    }
+    if (current.status !== 'active') {
+        throw new ServiceError(`Consent '${consentId}' is ${current.status} and cannot be withdrawn`, { status: 409, code: 'consent_not_active' });
+    }
+
+    const revoked = JSON.parse(JSON.stringify(current));
+    revoked.status = 'inactive';
+    revoked.provision.period = { ...revoked.provision.period, end: new Date().toISOString() };
+    const response = await fhirClient.put(consentUrl(fhirServerURL, consentId), revoked, {
+        headers: { ...headers, 'Content-Type': 'application/fhir+json', 'If-Match': `W/"${current.meta.versionId}"` }
+    });
+
+    const organization = recipientOf(current);
+    const organizationId = organization ? organization.reference.split('/')[1] : null;
+    let tasks = { cancelled: [], failed: [] };
+    if (organizationId) {
+        const remaining = await searchConsents(fhirServerURL, accessToken, [`Patient/${patientId}`], { organizationId, activeOnly: true });
+        if (remaining.length === 0) {
+            tasks = await cancelOpenTasks(fhirServerURL, accessToken, patientId, organizationId);
+        }
+    }
+    return { ...consentView(response.data), cancelledTasks: tasks.cancelled, failedTasks: tasks.failed };
+}
+
+module.exports = {
+    createConsentObject,
+    isInForce,
+    consentView,
+    recordConsent,
+    listConsents,
+    assertActiveConsent,
+    consentRequiredFor,
+    assertConsentForCaller,
+    withholdUnconsented,
+    revokeConsent
+};
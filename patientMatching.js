@@ -0,0 +1,311 @@
+const { fetchAllPages } = require('./fhirPaging');
+const { accessibleIds } = require('./accessControl');
+const { ServiceError } = require('./errors');
+
+// Relative weight of each demographic field in the match score
+const WEIGHTS = {
+    family: 0.3,
+    given: 0.2,
+    birthDate: 0.3,
+    phone: 0.1,
+    email: 0.1,
+    zip: 0.05
+};
+
+// Match grades as used by FHIR Patient/$match, with the lowest score for each
+const GRADES = [
+    { grade: 'certain', minScore: 0.95 },
+    { grade: 'probable', minScore: 0.8 },
+    { grade: 'possible', minScore: 0.6 }
+];
+
+// Common given name variants, each group is treated as the same name
+const NICKNAMES = [
+    ['william', 'will', 'bill', 'billy', 'liam'],
+    ['robert', 'rob', 'bob', 'bobby', 'robbie'],
+    ['richard', 'rich', 'rick', 'dick'],
+    ['james', 'jim', 'jimmy', 'jamie'],
+    ['john', 'jack', 'johnny', 'jon'],
+    ['joseph', 'joe', 'joey'],
+    ['michael', 'mike', 'mikey', 'mick'],
+    ['thomas', 'tom', 'tommy'],
+    ['charles', 'charlie', 'chuck'],
+    ['christopher', 'chris'],
+    ['daniel', 'dan', 'danny'],
+    ['anthony', 'tony'],
+    ['edward', 'ed', 'eddie', 'ted'],
+    ['margaret', 'maggie', 'meg', 'peggy'],
+    ['elizabeth', 'liz', 'beth', 'betty', 'eliza', 'lisa'],
+    ['katherine', 'catherine', 'kate', 'katie', 'cathy', 'kathy'],
+    ['jennifer', 'jen', 'jenny'],
+    ['patricia', 'pat', 'patty', 'trish'],
+    ['susan', 'sue', 'susie'],
+    ['deborah', 'debra', 'deb', 'debbie'],
+    ['rebecca', 'becky', 'becca'],
+    ['alexander', 'alex', 'sasha'],
+    ['alexandra', 'alex', 'sandra', 'sasha'],
+    ['jose', 'pepe'],
+    ['francisco', 'paco', 'pancho'],
+    ['guadalupe', 'lupe']
+];
+
+const normalizeName = value => String(value || '').toLowerCase().normalize('NFD').replace(/[^a-z]/g, '');
+const normalizeDigits = value => String(value || '').replace(/\D/g, '');
+
+// The 10 digit form phone numbers are stored and searched in, e.g. "(617) 555-0100" and "+1 617 555 0100" become "6175550100"
+const normalizePhone = value => normalizeDigits(value).slice(-10);
+
+// Optimal string alignment distance: edits plus adjacent transpositions
+function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) {
+        d[0][j] = j;
+    }
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+// Similarity of two names between 0 and 1, tolerating small typos
+function nameSimilarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    const distance = editDistance(a, b);
+    const length = Math.max(a.length, b.length);
+    if (distance === 1 && length >= 4) {
+        return 0.8;
+    }
+    if (distance === 2 && length >= 7) {
+        return 0.6;
+    }
+    return 0;
+}
+
+// Given names also match when they are known variants of each other
+function givenNameSimilarity(a, b) {
+    if (a && b && a !== b && NICKNAMES.some(group => group.includes(a) && group.includes(b))) {
+        return 0.9;
+    }
+    return nameSimilarity(a, b);
+}
+
+// Birth dates match exactly, with day and month swapped, or with one mistyped or transposed digit
+function birthDateSimilarity(a, b) {
+    if (!a || !b) {
+        return 0;
+    }
+    if (a === b) {
+        return 1;
+    }
+    const [year, month, day] = a.split('-');
+    if (`${year}-${day}-${month}` === b) {
+        return 0.8;
+    }
+    return editDistance(normalizeDigits(a), normalizeDigits(b)) === 1 ? 0.7 : 0;
+}
+
+// Turn route input into the normalized criteria the matcher compares against
+function normalizeCriteria({ firstName, lastName, dob, phone, email, zip, identifier }) {
+    return {
+        given: normalizeName(firstName),
+        family: normalizeName(lastName),
+        birthDate: dob ? String(dob).slice(0, 10) : '',
+        phone: normalizePhone(phone),
+        email: String(email || '').trim().toLowerCase(),
+        zip: String(zip || '').trim().slice(0, 5),
+        identifier: String(identifier || '').trim()
+    };
+}
+
+// Extract the same normalized fields from a Patient resource
+function patientFields(patient) {
+    const names = patient.name || [];
+    const telecom = patient.telecom || [];
+    return {
+        given: names.flatMap(name => name.given || []).map(normalizeName),
+        family: names.map(name => normalizeName(name.family)),
+        birthDate: patient.birthDate || '',
+        phone: telecom.filter(t => t.system === 'phone').map(t => normalizePhone(t.value)),
+        email: telecom.filter(t => t.system === 'email').map(t => String(t.value || '').toLowerCase()),
+        zip: (patient.address || []).map(address => String(address.postalCode || '').slice(0, 5)),
+        identifier: (patient.identifier || []).map(id => id.value)
+    };
+}
+
+const best = (values, compare) => values.reduce((max, value) => Math.max(max, compare(value)), 0);
+
+// Score a Patient against the criteria, between 0 and 1. Only supplied criteria count.
+function scorePatient(criteria, patient) {
+    const fields = patientFields(patient);
+    if (criteria.identifier && fields.identifier.includes(criteria.identifier)) {
+        return 1;
+    }
+
+    const similarities = {
+        family: () => best(fields.family, family => nameSimilarity(criteria.family, family)),
+        given: () => best(fields.given, given => givenNameSimilarity(criteria.given, given)),
+        birthDate: () => birthDateSimilarity(criteria.birthDate, fields.birthDate),
+        phone: () => (fields.phone.includes(criteria.phone) ? 1 : 0),
+        email: () => (fields.email.includes(criteria.email) ? 1 : 0),
+        zip: () => (fields.zip.includes(criteria.zip) ? 1 : 0)
+    };
+
+    let total = 0;
+    let achieved = 0;
+    Object.keys(WEIGHTS).forEach(field => {
+        if (criteria[field]) {
+            total += WEIGHTS[field];
+            achieved += WEIGHTS[field] * similarities[field]();
+        }
+    });
+    return total > 0 ? Math.round((achieved / total) * 1000) / 1000 : 0;
+}
+
+function gradeFor(score) {
+    const match = GRADES.find(g => score >= g.minScore);
+    return match ? match.grade : 'certainly-not';
+}
+
+// Swap day and month of a YYYY-MM-DD date when the result is still a valid date
+function transposedDate(date) {
+    const [year, month, day] = date.split('-');
+    return Number(day) <= 12 && day !== month ? `${year}-${day}-${month}` : null;
+}
+
+// Candidate searches returning more patients than this are refused as too broad to rank
+const MAX_CANDIDATES = 1000;
+
+// FHIR string search matches on prefix, so a short name prefix tolerates typos later in the name
+const NAME_PREFIX_LENGTH = 3;
+
+// The FHIR searches that find the candidates. Identifier, phone and email are selective on their own.
+// Names are combined with the birth date (also day/month transposed) or zip, searching by family and by
+// given name so a typo in either still finds the patient; without those the names are combined with each other.
+function candidateSearches(criteria) {
+    const searches = [];
+    if (criteria.identifier) {
+        searches.push({ identifier: criteria.identifier });
+    }
+    if (criteria.phone) {
+        searches.push({ phone: criteria.phone });
+    }
+    if (criteria.email) {
+        searches.push({ email: criteria.email });
+    }
+
+    const names = [
+        criteria.family ? { family: criteria.family.slice(0, NAME_PREFIX_LENGTH) } : null,
+        criteria.given ? { given: criteria.given.slice(0, NAME_PREFIX_LENGTH) } : null
+    ].filter(Boolean);
+    const anchors = [];
+    if (criteria.birthDate) {
+        anchors.push({ birthdate: criteria.birthDate });
+        const transposed = transposedDate(criteria.birthDate);
+        if (transposed) {
+            anchors.push({ birthdate: transposed });
+        }
+    }
+    if (criteria.zip) {
+        anchors.push({ 'address-postalcode': criteria.zip });
+    }
+
+    if (names.length > 0 && anchors.length > 0) {
+        names.forEach(name => anchors.forEach(anchor => searches.push({ ...name, ...anchor })));
+    } else if (names.length === 2) {
+        searches.push({ ...names[0], ...names[1] });
+    } else if (criteria.family || criteria.given) {
+        // A single name is searched in full, a prefix alone would match too many patients
+        searches.push(criteria.family ? { family: criteria.family } : { given: criteria.given });
+    } else {
+        searches.push(...anchors);
+    }
+    return searches;
+}
+
+// Run the candidate searches, following next links. A search matching more than MAX_CANDIDATES
+// patients is refused rather than ranked on a truncated result.
+async function findCandidates(fhirServerURL, accessToken, criteria) {
+    const candidates = new Map();
+    for (const params of candidateSearches(criteria)) {
+        let found = 0;
+        await fetchAllPages(fhirServerURL, accessToken, 'Patient', { params }, page => {
+            found += page.entry.length;
+            if (found > MAX_CANDIDATES) {
+                throw new ServiceError(`More than ${MAX_CANDIDATES} patients match ${Object.keys(params).join(' and ')}; give more search criteria`, { status: 400, code: 'search_too_broad' });
+            }
+            page.entry
+                .filter(entry => entry.resource.resourceType === 'Patient')
+                .forEach(entry => candidates.set(entry.resource.id, entry));
+        });
+    }
+    return [...candidates.values()];
+}
+
+const SUBSETTED = { system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue', code: 'SUBSETTED' };
+
+// A matched patient the caller is not linked to: its id only, marked as a subset, without demographics
+const matchSummary = ({ resource }) => ({
+    resource: {
+        resourceType: 'Patient',
+        id: resource.id,
+        meta: { tag: [SUBSETTED] }
+    }
+});
+
+// Whether a match is the summary of a patient the caller is not linked to
+const isMatchSummary = ({ resource }) => ((resource.meta || {}).tag || []).some(tag => tag.system === SUBSETTED.system && tag.code === SUBSETTED.code);
+
+// Find patients matching the criteria, best match first, as Bundle entries with a $match style search score.
+// Patients the caller is not linked to (see accessControl.js) are left out, or with summaries set returned
+// as their id and score only, for callers that must be told a patient exists before creating another.
+async function matchPatients(fhirServerURL, accessToken, caller, input, { minGrade = 'possible', summaries = false } = {}) {
+    const criteria = normalizeCriteria(input);
+    const minScore = GRADES.find(g => g.grade === minGrade).minScore;
+    const candidates = await findCandidates(fhirServerURL, accessToken, criteria);
+
+    const matches = candidates
+        .map(entry => ({ entry, score: scorePatient(criteria, entry.resource) }))
+        .filter(({ score }) => score >= minScore)
+        .sort((a, b) => b.score - a.score);
+    const accessible = await accessibleIds(fhirServerURL, accessToken, caller, 'Patient', matches.map(({ entry }) => entry.resource.id));
+    return matches
+        .filter(({ entry }) => summaries || accessible.has(entry.resource.id))
+        .map(({ entry, score }) => ({
+            ...(accessible.has(entry.resource.id) ? entry : matchSummary(entry)),
+            search: {
+                mode: 'match',
+                score,
+                extension: [{
+                    url: 'http://hl7.org/fhir/StructureDefinition/match-grade',
+                    valueCode: gradeFor(score)
+                }]
+            }
+        }));
+}
+
+// Find existing patients that are likely the same person as the one about to be created, including
+// summaries of those the caller is not linked to
+async function findDuplicatePatients(fhirServerURL, accessToken, caller, patientInput) {
+    return matchPatients(fhirServerURL, accessToken, caller, patientInput, { minGrade: 'probable', summaries: true });
+}
+
+module.exports = {
+    normalizePhone,
+    normalizeCriteria,
+    scorePatient,
+    candidateSearches,
+    isMatchSummary,
+    matchPatients,
+    findDuplicatePatients
+};
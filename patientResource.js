@@ -0,0 +1,377 @@
+const fhirClient = require('./fhirClient');
+const terminology = require('./terminology');
+const { ServiceError, VersionConflictError } = require('./errors');
+const { normalizePhone } = require('./patientMatching');
+
+const RACE_EXTENSION = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-race';
+const ETHNICITY_EXTENSION = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-ethnicity';
+const BIRTH_SEX_EXTENSION = 'http://hl7.org/fhir/us/core/StructureDefinition/us-core-birthsex';
+const GENDER_IDENTITY_EXTENSION = 'https://docs.mydata.athenahealth.com/fhir-r4/StructureDefinition/athena-patient-extension-genderIdentity';
+const SEXUAL_ORIENTATION_EXTENSION = 'https://docs.mydata.athenahealth.com/fhir-r4/StructureDefinition/athena-patient-extension-sexualOrientation';
+
+// Race extensions read: the US Core one, and the one earlier versions wrote under a non-US Core url.
+// Updating the race replaces either with the US Core one.
+const RACE_EXTENSIONS = [RACE_EXTENSION, 'http://hl7.org/fhir/StructureDefinition/us-core-race'];
+
+const UNKNOWN_CODING = {
+    "system": "http://terminology.hl7.org/CodeSystem/v3-NullFlavor",
+    "code": "UNK",
+    "display": "Unknown"
+};
+
+// Coding of a friendly value from the first value set that knows it, UNK otherwise
+function codingFor(valueSets, value) {
+    for (const valueSet of valueSets) {
+        const coding = terminology.codingFor(valueSet, value);
+        if (coding) {
+            return coding;
+        }
+    }
+    return UNKNOWN_CODING;
+}
+
+// ombCategory, detailed and text sub-extensions of the US Core race or ethnicity extension.
+// A detailed CDC code is recorded together with the OMB category it belongs to.
+function ombExtensions(categoryValueSet, detailedValueSet, value) {
+    const coding = codingFor([categoryValueSet, detailedValueSet], value);
+    const category = terminology.ancestorInValueSet(categoryValueSet, coding.system, coding.code) || UNKNOWN_CODING;
+    const extensions = [{ "url": "ombCategory", "valueCoding": category }];
+    if (category.code !== coding.code) {
+        extensions.push({ "url": "detailed", "valueCoding": coding });
+    }
+    extensions.push({ "url": "text", "valueString": value });
+    return extensions;
+}
+
+//this fucntion creates a patient with the values coming from UI. Coded values are looked up in the
+//terminology value sets by code, display or synonym; missing or unknown values are coded as UNK.
+function createPatientObject(
+    firstName,
+    lastName,
+    dateOfBirth,
+    gender,
+    race,
+    sex_at_birth,
+    ethnicity,
+    genderIdentity,
+    sexualOrientation,
+    language,
+    phoneNumber,
+    email,
+    address1,
+    address2,
+    city,
+    state,
+    zipcode
+) {
+    const languageCoding = codingFor(['languages'], language);
+    const sexAtBirthCoding = codingFor(['birthsex'], sex_at_birth);
+
+    const patient = {
+        "resourceType": "Patient",
+        "active": true,
+        "name": [
+            {
+                "use": "official",
+                "family": lastName,
+                "given": [firstName]
+            }
+        ],
+        "gender": gender,
+        "birthDate": dateOfBirth,
+        "telecom": [
+            {
+                "system": "phone",
+                // Stored as 10 digits, the form the duplicate and patient searches look for
+                "value": phoneNumber ? normalizePhone(phoneNumber) : phoneNumber
+            },
+            {
+                "system": "email",
+                "value": email
+            }
+        ],
+        "address": [
+            {
+                "use": "home",
+                "line": [address1, address2],
+                "city": city,
+                "state": state,
+                "postalCode": zipcode
+            }
+        ],
+        "communication": [
+            {
+                "language": {
+                    "coding": [languageCoding],
+                    "text": language
+                },
+                "preferred": true
+            }
+        ],
+        "extension": [
+            {
+                "url": RACE_EXTENSION,
+                "extension": ombExtensions('omb-race-category', 'detailed-race', race)
+            },
+            {
+                "url": ETHNICITY_EXTENSION,
+                "extension": ombExtensions('omb-ethnicity-category', 'detailed-ethnicity', ethnicity)
+            },
+            {
+                "url": BIRTH_SEX_EXTENSION,
+                "valueCode": sexAtBirthCoding.code
+            }
+        ]
+    };
+
+    if (genderIdentity) {
+        // Known gender identities also get the US Core coding next to the athena one
+        const genderIdentityCoding = terminology.codingFor('gender-identity', genderIdentity);
+        patient.extension.push({
+                "url": GENDER_IDENTITY_EXTENSION,
+                "valueCodeableConcept": {
+                    "coding": [
+                        {
+                            "system": "https://docs.mydata.athenahealth.com/fhir-r4/athenaFlex/genderIdentity",
+                            "display": genderIdentity
+                        },
+                        ...(genderIdentityCoding ? [genderIdentityCoding] : [])
+                    ],
+                    "text": genderIdentity
+                }
+            });
+    }
+
+    if (sexualOrientation) {
+        patient.extension.push({
+                "url": SEXUAL_ORIENTATION_EXTENSION,
+                "valueCodeableConcept": {
+                    "coding": [
+                        {
+                            "system": "https://docs.mydata.athenahealth.com/fhir-r4/athenaFlex/sexualOrientation",
+                            "display": sexualOrientation
+                        }
+                    ],
+                    "text": sexualOrientation
+                }
+            });
+    }
+    return patient;
+}
+
+const findExtension = (patient, urls) => (patient.extension || []).find(extension => urls.includes(extension.url));
+const subExtension = (extension, url) => (extension && extension.extension || []).find(sub => sub.url === url);
+
+// Display text of a coding, preferring the terminology's display over what was stored
+const codingDisplay = coding => (coding ? terminology.displayFor(coding.system, coding.code) || coding.display || coding.code : undefined);
+
+// Friendly value of a race or ethnicity extension: the detailed code, else the OMB category, else the text
+function ombValue(extension) {
+    if (!extension) {
+        return undefined;
+    }
+    const detailed = subExtension(extension, 'detailed');
+    const category = subExtension(extension, 'ombCategory');
+    const text = subExtension(extension, 'text');
+    const coding = (detailed || category || {}).valueCoding;
+    if (coding && coding.code !== 'UNK') {
+        return codingDisplay(coding);
+    }
+    return text ? text.valueString : codingDisplay(coding);
+}
+
+const conceptText = extension => (extension && extension.valueCodeableConcept ? extension.valueCodeableConcept.text : undefined);
+
+// Read a Patient back into the friendly field shape createPatientObject takes, with codes mapped to display text
+function patientToFields(patient) {
+    const names = patient.name || [];
+    const name = names.find(n => n.use === 'official') || names[0] || {};
+    const telecom = patient.telecom || [];
+    const address = (patient.address || []).find(a => a.use === 'home') || (patient.address || [])[0] || {};
+    const communications = patient.communication || [];
+    const communication = communications.find(c => c.preferred) || communications[0];
+    const languageCoding = communication && communication.language.coding ? communication.language.coding[0] : undefined;
+    const birthSex = findExtension(patient, [BIRTH_SEX_EXTENSION]);
+    const line = address.line || [];
+
+    return {
+        firstName: (name.given || [])[0],
+        lastName: name.family,
+        dateOfBirth: patient.birthDate,
+        gender: patient.gender,
+        race: ombValue(findExtension(patient, RACE_EXTENSIONS)),
+        sex_at_birth: birthSex ? codingDisplay(terminology.codingFor('birthsex', birthSex.valueCode) || { code: birthSex.valueCode }) : undefined,
+        ethnicity: ombValue(findExtension(patient, [ETHNICITY_EXTENSION])),
+        genderIdentity: conceptText(findExtension(patient, [GENDER_IDENTITY_EXTENSION])),
+        sexualOrientation: conceptText(findExtension(patient, [SEXUAL_ORIENTATION_EXTENSION])),
+        language: languageCoding && languageCoding.code !== 'UNK' ? codingDisplay(languageCoding) : (communication ? communication.language.text : undefined),
+        phoneNumber: (telecom.find(t => t.system === 'phone') || {}).value,
+        email: (telecom.find(t => t.system === 'email') || {}).value,
+        address1: line[0] || undefined,
+        address2: line[1] || undefined,
+        city: address.city,
+        state: address.state,
+        zipcode: address.postalCode
+    };
+}
+
+// Extensions holding coded demographics only (the race and ethnicity text aside), see bulkExport.js
+const CODED_DEMOGRAPHIC_EXTENSIONS = [...RACE_EXTENSIONS, ETHNICITY_EXTENSION, BIRTH_SEX_EXTENSION];
+
+// Friendly fields in the positional order of createPatientObject
+const PATIENT_FIELDS = [
+    'firstName', 'lastName', 'dateOfBirth', 'gender', 'race', 'sex_at_birth', 'ethnicity', 'genderIdentity',
+    'sexualOrientation', 'language', 'phoneNumber', 'email', 'address1', 'address2', 'city', 'state', 'zipcode'
+];
+
+// Extension urls written for each coded field
+const FIELD_EXTENSIONS = {
+    race: RACE_EXTENSIONS,
+    ethnicity: [ETHNICITY_EXTENSION],
+    sex_at_birth: [BIRTH_SEX_EXTENSION],
+    genderIdentity: [GENDER_IDENTITY_EXTENSION],
+    sexualOrientation: [SEXUAL_ORIENTATION_EXTENSION]
+};
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Replace the first element matching predicate with replacement, append it when nothing matches,
+// and remove the element when replacement is null
+function replaceElement(elements, predicate, replacement) {
+    const result = [...(elements || [])];
+    const index = result.findIndex(predicate);
+    if (index === -1) {
+        return replacement ? [...result, replacement] : result;
+    }
+    if (replacement) {
+        result.splice(index, 1, replacement);
+    } else {
+        result.splice(index, 1);
+    }
+    return result;
+}
+
+// Merge friendly fields (the shape createPatientObject takes) into an existing Patient. Only the
+// fields present in `fields` change; null or '' clears a field. Everything else on the resource,
+// such as identifiers, other names and unrelated extensions, is kept as is.
+function mergePatientFields(patient, fields) {
+    const has = field => Object.prototype.hasOwnProperty.call(fields, field);
+    const merged = { ...patientToFields(patient), ...fields };
+    // Elements rebuilt from the merged fields, so coding stays the same as on create
+    const built = createPatientObject(...PATIENT_FIELDS.map(field => (isBlank(merged[field]) ? undefined : merged[field])));
+    const next = { ...patient };
+
+    if (has('firstName') || has('lastName')) {
+        const names = next.name || [];
+        const officialIndex = Math.max(names.findIndex(name => name.use === 'official'), 0);
+        const name = { use: 'official', ...names[officialIndex] };
+        name.family = merged.lastName;
+        name.given = [merged.firstName, ...(name.given || []).slice(1)];
+        next.name = names.length > 0 ? names.map((n, i) => (i === officialIndex ? name : n)) : [name];
+    }
+    if (has('dateOfBirth')) {
+        next.birthDate = merged.dateOfBirth;
+    }
+    if (has('gender')) {
+        next.gender = isBlank(merged.gender) ? undefined : merged.gender;
+    }
+
+    [['phoneNumber', 'phone'], ['email', 'email']].forEach(([field, system]) => {
+        if (has(field)) {
+            next.telecom = replaceElement(next.telecom, telecom => telecom.system === system,
+                isBlank(merged[field]) ? null : { system, value: system === 'phone' ? normalizePhone(merged[field]) : merged[field] });
+        }
+    });
+
+    if (['address1', 'address2', 'city', 'state', 'zipcode'].some(has)) {
+        const homeAddress = (next.address || []).find(address => address.use === 'home') || (next.address || [])[0] || { use: 'home' };
+        next.address = replaceElement(next.address, address => address === homeAddress, {
+            ...homeAddress,
+            line: [merged.address1, merged.address2].filter(line => !isBlank(line)),
+            city: isBlank(merged.city) ? undefined : merged.city,
+            state: isBlank(merged.state) ? undefined : merged.state,
+            postalCode: isBlank(merged.zipcode) ? undefined : merged.zipcode
+        });
+    }
+
+    if (has('language')) {
+        next.communication = replaceElement(next.communication, communication => communication.preferred || (next.communication || []).length === 1,
+            isBlank(merged.language) ? null : built.communication[0]);
+    }
+
+    Object.entries(FIELD_EXTENSIONS).forEach(([field, urls]) => {
+        if (has(field)) {
+            const extension = built.extension.find(e => urls.includes(e.url)) || null;
+            next.extension = replaceElement(next.extension, e => urls.includes(e.url), extension);
+        }
+    });
+
+    return next;
+}
+
+const patientUrl = (fhirServerURL, patientId) => `${fhirServerURL}/Patient/${encodeURIComponent(patientId)}`;
+
+// Version id from an If-Match header value: W/"3", "3" or 3
+function parseVersion(ifMatch) {
+    const match = /^(?:W\/)?"?([A-Za-z0-9\-.]{1,64})"?$/.exec(String(ifMatch || '').trim());
+    return match ? match[1] : null;
+}
+
+// Response shape of the patient endpoints: the resource, its version and the friendly fields
+const patientView = patient => ({
+    id: patient.id,
+    version: patient.meta && patient.meta.versionId,
+    fields: patientToFields(patient),
+    patient
+});
+
+async function getPatient(fhirServerURL, accessToken, patientId) {
+    const response = await fhirClient.get(patientUrl(fhirServerURL, patientId), {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+    });
+    return response.data;
+}
+
+const conflictError = (patientId, expectedVersion, current) => new VersionConflictError(
+    `Patient '${patientId}' was changed since version ${expectedVersion}`, { details: patientView(current) });
+
+// Merge friendly fields into a Patient and save it, provided it is still at expectedVersion. The PUT
+// carries If-Match, so an edit made between our read and write is caught by the FHIR server too;
+// either way the caller gets a VersionConflictError holding the current version.
+async function updatePatient(fhirServerURL, accessToken, patientId, fields, expectedVersion) {
+    if (!expectedVersion) {
+        throw new ServiceError('An If-Match header with the Patient version is required', { status: 428, code: 'precondition_required' });
+    }
+    const current = await getPatient(fhirServerURL, accessToken, patientId);
+    if (current.meta.versionId !== expectedVersion) {
+        throw conflictError(patientId, expectedVersion, current);
+    }
+
+    try {
+        const response = await fhirClient.put(patientUrl(fhirServerURL, patientId), mergePatientFields(current, fields), {
+            headers: {
+                'Authorization': `Bearer ${accessToken}`,
+                'Content-Type': 'application/fhir+json',
+                'If-Match': `W/"${expectedVersion}"`
+            }
+        });
+        return response.data;
+    } catch (error) {
+        if (error.response && [409, 412].includes(error.response.status)) {
+            throw conflictError(patientId, expectedVersion, await getPatient(fhirServerURL, accessToken, patientId));
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    PATIENT_FIELDS,
+    CODED_DEMOGRAPHIC_EXTENSIONS,
+    createPatientObject,
+    patientToFields,
+    mergePatientFields,
+    parseVersion,
+    patientView,
+    getPatient,
+    updatePatient
+};
@@ -0,0 +1,235 @@
+require('dotenv').config();
+
+const tenants = require('./tenants');
+const { fetchAllPages } = require('./fhirPaging');
+const { resourceDisplayName } = require('./fhirNames');
+const { logger } = require('./logger');
+const { ServiceError } = require('./errors');
+
+// Resource types kept in the directory index
+const DIRECTORY_TYPES = ['Organization', 'Practitioner', 'PractitionerRole'];
+
+// Changed resources are picked up with a _lastUpdated search this often, and the whole index is
+// rebuilt every DIRECTORY_FULL_RELOAD_HOURS to drop deleted resources
+const REFRESH_INTERVAL_MS = Number(process.env.DIRECTORY_REFRESH_INTERVAL_MS || 5 * 60 * 1000);
+const FULL_RELOAD_MS = Number(process.env.DIRECTORY_FULL_RELOAD_HOURS || 24) * 60 * 60 * 1000;
+
+// Maximum and default number of results of a lookup
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+// Tenant id -> directory of the tenant's FHIR server, so lookups never see another tenant's providers
+const directories = new Map();
+
+function createEmptyIndex() {
+    return Object.fromEntries(DIRECTORY_TYPES.map(type => [type, new Map()]));
+}
+
+// The directory of the tenant whose FHIR server fhirServerURL is
+function directoryFor(fhirServerURL) {
+    const tenant = tenants.forUrl(fhirServerURL);
+    if (!tenant) {
+        throw new Error(`No tenant has the FHIR server ${fhirServerURL}`);
+    }
+    if (!directories.has(tenant.id)) {
+        directories.set(tenant.id, {
+            tenant,
+            // Resource type -> id -> resource
+            index: createEmptyIndex(),
+            lastUpdated: null,
+            lastFullLoad: 0,
+            pendingLoad: null,
+            refreshTimer: null
+        });
+    }
+    return directories.get(tenant.id);
+}
+
+const idFromReference = (reference, type) => (reference && reference.startsWith(`${type}/`) ? reference.slice(type.length + 1) : null);
+
+// Lowercase words of a text, used for prefix matching
+const words = text => String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Every word of the query must be the start of some word of the name
+function matchesPrefix(name, query) {
+    if (!query) {
+        return true;
+    }
+    const nameWords = words(name);
+    return words(query).every(queryWord => nameWords.some(word => word.startsWith(queryWord)));
+}
+
+// Text of all codings and text of CodeableConcepts, for specialty and service type matching
+const conceptTexts = concepts => (concepts || []).flatMap(concept => [
+    concept.text,
+    ...(concept.coding || []).flatMap(coding => [coding.code, coding.display])
+]).filter(Boolean).map(text => String(text).toLowerCase());
+
+const matchesConcept = (concepts, query) => !query || conceptTexts(concepts).some(text => text.includes(query.toLowerCase()));
+
+const conceptLabels = concepts => (concepts || []).map(concept => concept.text || ((concept.coding || [])[0] || {}).display).filter(Boolean);
+
+// Fetch Organizations, Practitioners and PractitionerRoles, all of them or those changed since `since`
+async function loadResources(directory, since) {
+    const { fhirServerURL } = directory.tenant;
+    const accessToken = await directory.tenant.getToken();
+    const next = since ? directory.index : createEmptyIndex();
+    let newest = since;
+
+    for (const type of DIRECTORY_TYPES) {
+        const params = since ? { '_lastUpdated': `ge${since}` } : {};
+        await fetchAllPages(fhirServerURL, accessToken, type, { params }, page => {
+            page.entry.forEach(({ resource }) => {
+                next[type].set(resource.id, resource);
+                if (resource.meta && resource.meta.lastUpdated && (!newest || resource.meta.lastUpdated > newest)) {
+                    newest = resource.meta.lastUpdated;
+                }
+            });
+        });
+    }
+
+    directory.index = next;
+    directory.lastUpdated = newest;
+    if (!since) {
+        directory.lastFullLoad = Date.now();
+    }
+}
+
+// Bring a tenant's index up to date: a full load the first time and every FULL_RELOAD_MS, deltas otherwise
+function refresh(fhirServerURL) {
+    const directory = directoryFor(fhirServerURL);
+    if (!directory.pendingLoad) {
+        const full = !directory.lastUpdated || Date.now() - directory.lastFullLoad > FULL_RELOAD_MS;
+        directory.pendingLoad = loadResources(directory, full ? null : directory.lastUpdated)
+            .catch(error => {
+                logger.error('Failed to refresh provider directory', { tenant: directory.tenant.id, error });
+                throw error;
+            })
+            .finally(() => {
+                directory.pendingLoad = null;
+            });
+    }
+    return directory.pendingLoad;
+}
+
+// Make sure a tenant's index has been loaded once and schedule its periodic refresh. Returns the index.
+async function ready(fhirServerURL) {
+    const directory = directoryFor(fhirServerURL);
+    if (!directory.refreshTimer) {
+        directory.refreshTimer = setInterval(() => refresh(fhirServerURL).catch(() => {}), REFRESH_INTERVAL_MS);
+        directory.refreshTimer.unref();
+    }
+    if (directory.lastFullLoad === 0) {
+        await refresh(fhirServerURL);
+    }
+    return directory.index;
+}
+
+// Roles of a practitioner, or at an organization, that are currently active
+const activeRoles = (index, predicate) => [...index.PractitionerRole.values()].filter(role => role.active !== false && predicate(role));
+
+function summarizeOrganization(organization) {
+    return {
+        id: organization.id,
+        reference: `Organization/${organization.id}`,
+        name: resourceDisplayName(organization),
+        type: conceptLabels(organization.type),
+        active: organization.active !== false,
+        telecom: organization.telecom || [],
+        address: organization.address || []
+    };
+}
+
+function summarizeRole(index, role) {
+    const organizationId = idFromReference(role.organization && role.organization.reference, 'Organization');
+    const organization = organizationId ? index.Organization.get(organizationId) : null;
+    return {
+        id: role.id,
+        reference: `PractitionerRole/${role.id}`,
+        practitioner: role.practitioner ? role.practitioner.reference : null,
+        organization: organization ? { reference: `Organization/${organization.id}`, name: resourceDisplayName(organization) } : null,
+        code: conceptLabels(role.code),
+        specialty: conceptLabels(role.specialty)
+    };
+}
+
+function summarizePractitioner(index, practitioner) {
+    const reference = `Practitioner/${practitioner.id}`;
+    return {
+        id: practitioner.id,
+        reference,
+        name: resourceDisplayName(practitioner),
+        active: practitioner.active !== false,
+        roles: activeRoles(index, role => role.practitioner && role.practitioner.reference === reference).map(role => summarizeRole(index, role))
+    };
+}
+
+const clampLimit = limit => Math.min(Math.max(Number(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+// Look up a directory resource of the tenant's FHIR server by type and id, summarized for the UI
+async function getById(fhirServerURL, resourceType, id) {
+    const index = await ready(fhirServerURL);
+    const resource = index[resourceType] && index[resourceType].get(id);
+    if (!resource) {
+        return null;
+    }
+    switch (resourceType) {
+        case 'Organization':
+            return {
+                ...summarizeOrganization(resource),
+                practitionerRoles: activeRoles(index, role => role.organization && role.organization.reference === `Organization/${id}`).map(role => summarizeRole(index, role))
+            };
+        case 'Practitioner':
+            return summarizePractitioner(index, resource);
+        default:
+            return summarizeRole(index, resource);
+    }
+}
+
+// Search terms come from the query string, where a repeated parameter arrives as an array; each may be given once
+function assertSingleTerms(terms) {
+    const repeated = Object.keys(terms).filter(key => terms[key] !== undefined && typeof terms[key] !== 'string');
+    if (repeated.length > 0) {
+        throw new ServiceError(`${repeated.join(', ')} must be given once, as a single value`, { status: 400, code: 'invalid_search_term' });
+    }
+}
+
+// Search organizations by name prefix and specialty/service type (organization type or the
+// specialties of roles at the organization), for the performer typeahead
+async function searchOrganizations(fhirServerURL, { name, specialty, limit } = {}) {
+    assertSingleTerms({ name, specialty, limit });
+    const index = await ready(fhirServerURL);
+    return [...index.Organization.values()]
+        .filter(organization => organization.active !== false && matchesPrefix(resourceDisplayName(organization), name))
+        .filter(organization => !specialty
+            || matchesConcept(organization.type, specialty)
+            || activeRoles(index, role => role.organization && role.organization.reference === `Organization/${organization.id}`)
+                .some(role => matchesConcept(role.specialty, specialty) || matchesConcept(role.code, specialty)))
+        .map(summarizeOrganization)
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+        .slice(0, clampLimit(limit));
+}
+
+// Search practitioners by name prefix, organization and specialty
+async function searchPractitioners(fhirServerURL, { name, organization, specialty, limit } = {}) {
+    assertSingleTerms({ name, organization, specialty, limit });
+    const index = await ready(fhirServerURL);
+    const organizationReference = organization && (organization.includes('/') ? organization : `Organization/${organization}`);
+    return [...index.Practitioner.values()]
+        .filter(practitioner => practitioner.active !== false && matchesPrefix(resourceDisplayName(practitioner), name))
+        .map(practitioner => summarizePractitioner(index, practitioner))
+        .filter(practitioner => !organizationReference
+            || practitioner.roles.some(role => role.organization && role.organization.reference === organizationReference))
+        .filter(practitioner => !specialty
+            || practitioner.roles.some(role => [...role.specialty, ...role.code].some(text => text.toLowerCase().includes(specialty.toLowerCase()))))
+        .sort((a, b) => String(a.name).localeCompare(String(b.name)))
+        .slice(0, clampLimit(limit));
+}
+
+module.exports = {
+    ready,
+    refresh,
+    getById,
+    searchOrganizations,
+    searchPractitioners
+};
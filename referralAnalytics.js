@@ -0,0 +1,318 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const tenants = require('./tenants');
+const { fetchAllPages } = require('./fhirPaging');
+const { fetchTaskHistories, statusHistory } = require('./referralTimeline');
+const { ServiceError } = require('./errors');
+const { logger } = require('./logger');
+
+// Referral outcome analytics. The facts the metrics need (performer, category and authored date of each
+// ServiceRequest; when its Task was accepted, completed or rejected, from the Task history) are kept in a
+// local aggregate. It is brought up to date with _lastUpdated searches every REFRESH_INTERVAL_MS and rebuilt
+// every ANALYTICS_FULL_RELOAD_HOURS to drop deleted resources, so queries never rescan the FHIR server.
+// Each tenant has its own aggregate. With ANALYTICS_CACHE_FILE the aggregates survive restarts.
+const REFRESH_INTERVAL_MS = Number(process.env.ANALYTICS_REFRESH_INTERVAL_MS || 5 * 60 * 1000);
+const FULL_RELOAD_MS = Number(process.env.ANALYTICS_FULL_RELOAD_HOURS || 24) * 60 * 60 * 1000;
+const CACHE_FILE = process.env.ANALYTICS_CACHE_FILE;
+
+// Task statuses that can only be reached once the referral was accepted
+const ACCEPTED_STATUSES = ['accepted', 'in-progress', 'on-hold', 'completed'];
+
+const DIMENSIONS = ['organization', 'category', 'month'];
+
+// The generic category every referral made by this service carries; it says nothing about the need
+const GENERIC_CATEGORY = 'referrals';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Tenant id -> analytics state of the tenant
+const states = new Map();
+
+function stateFor(tenant) {
+    if (!states.has(tenant.id)) {
+        states.set(tenant.id, {
+            tenant,
+            // ServiceRequest id -> { organization, organizationName, category, authoredOn }
+            // Task id -> { serviceRequestId, authoredOn, acceptedAt, completedAt, rejectedAt, rejectionReason }
+            aggregate: { serviceRequests: new Map(), tasks: new Map() },
+            lastUpdated: null,
+            lastFullLoad: 0,
+            pendingLoad: null,
+            refreshTimer: null
+        });
+    }
+    return states.get(tenant.id);
+}
+
+// What a referral is for: its SDOH category when it has one, otherwise the requested service
+function categoryOf(serviceRequest) {
+    const categories = (serviceRequest.category || [])
+        .flatMap(concept => [concept.text, ...(concept.coding || []).map(coding => coding.display || coding.code)])
+        .filter(label => label && label.toLowerCase() !== GENERIC_CATEGORY);
+    return categories[0] || (serviceRequest.code && serviceRequest.code.text) || 'Uncategorized';
+}
+
+function serviceRequestFacts(serviceRequest) {
+    const performer = (serviceRequest.performer || [])[0] || {};
+    return {
+        organization: performer.reference || 'unknown',
+        organizationName: performer.display || null,
+        category: categoryOf(serviceRequest),
+        authoredOn: serviceRequest.authoredOn || (serviceRequest.meta && serviceRequest.meta.lastUpdated) || null
+    };
+}
+
+// When the Task was first accepted, completed and rejected, from its status history. Without history
+// the current version is all we know.
+function taskFacts(task, versions) {
+    const history = statusHistory(versions.length > 0 ? versions : [task]);
+    const firstWith = statuses => history.find(change => statuses.includes(change.status));
+    const accepted = firstWith(ACCEPTED_STATUSES);
+    const completed = firstWith(['completed']);
+    const rejected = firstWith(['rejected']);
+    const focus = task.focus && task.focus.reference;
+    return {
+        serviceRequestId: focus && focus.startsWith('ServiceRequest/') ? focus.split('/')[1] : null,
+        authoredOn: task.authoredOn || null,
+        acceptedAt: accepted ? accepted.date : null,
+        completedAt: completed ? completed.date : null,
+        rejectedAt: rejected ? rejected.date : null,
+        rejectionReason: rejected ? rejected.statusReason || 'No reason given' : null
+    };
+}
+
+const newestOf = (newest, resource) => (resource.meta && resource.meta.lastUpdated && (!newest || resource.meta.lastUpdated > newest) ? resource.meta.lastUpdated : newest);
+
+// Fetch ServiceRequests and Tasks, all of them or those changed since `since`, and fold them into the aggregate
+async function loadResources(state, since) {
+    const { fhirServerURL } = state.tenant;
+    const accessToken = await state.tenant.getToken();
+    const next = since ? state.aggregate : { serviceRequests: new Map(), tasks: new Map() };
+    const params = since ? { '_lastUpdated': `ge${since}` } : {};
+    let newest = since;
+
+    await fetchAllPages(fhirServerURL, accessToken, 'ServiceRequest', { params }, page => {
+        page.entry.forEach(({ resource }) => {
+            next.serviceRequests.set(resource.id, serviceRequestFacts(resource));
+            newest = newestOf(newest, resource);
+        });
+    });
+    const tasks = [];
+    await fetchAllPages(fhirServerURL, accessToken, 'Task', { params }, page => {
+        page.entry.forEach(({ resource }) => {
+            tasks.push(resource);
+            newest = newestOf(newest, resource);
+        });
+    });
+    const histories = await fetchTaskHistories(fhirServerURL, accessToken, tasks.map(task => task.id));
+    tasks.forEach(task => next.tasks.set(task.id, taskFacts(task, histories.get(task.id) || [])));
+
+    state.aggregate = next;
+    state.lastUpdated = newest;
+    if (!since) {
+        state.lastFullLoad = Date.now();
+    }
+    saveAggregate(state);
+}
+
+// Each tenant's aggregate is cached in a file of its own, see tenants.fileFor
+function saveAggregate(state) {
+    const file = tenants.fileFor(CACHE_FILE, state.tenant);
+    if (file) {
+        const stored = {
+            lastUpdated: state.lastUpdated,
+            lastFullLoad: state.lastFullLoad,
+            serviceRequests: [...state.aggregate.serviceRequests],
+            tasks: [...state.aggregate.tasks]
+        };
+        fs.writeFileSync(file, JSON.stringify(stored), { mode: 0o600 });
+    }
+}
+
+function loadAggregate(state) {
+    const file = tenants.fileFor(CACHE_FILE, state.tenant);
+    if (file && fs.existsSync(file)) {
+        const stored = JSON.parse(fs.readFileSync(file, 'utf8'));
+        state.aggregate = { serviceRequests: new Map(stored.serviceRequests), tasks: new Map(stored.tasks) };
+        state.lastUpdated = stored.lastUpdated;
+        state.lastFullLoad = stored.lastFullLoad;
+    }
+}
+
+// Bring a tenant's aggregate up to date: a full load the first time and every FULL_RELOAD_MS, deltas otherwise
+function refresh(tenant) {
+    const state = stateFor(tenant);
+    if (!state.pendingLoad) {
+        const full = !state.lastUpdated || Date.now() - state.lastFullLoad > FULL_RELOAD_MS;
+        state.pendingLoad = loadResources(state, full ? null : state.lastUpdated)
+            .catch(error => {
+                logger.error('Failed to refresh referral analytics', { tenant: tenant.id, error });
+                throw error;
+            })
+            .finally(() => {
+                state.pendingLoad = null;
+            });
+    }
+    return state.pendingLoad;
+}
+
+// Make sure a tenant's aggregate has been loaded once and schedule its periodic refresh
+async function ready(tenant) {
+    const state = stateFor(tenant);
+    if (!state.refreshTimer) {
+        loadAggregate(state);
+        state.refreshTimer = setInterval(() => refresh(tenant).catch(() => {}), REFRESH_INTERVAL_MS);
+        state.refreshTimer.unref();
+    }
+    if (state.lastFullLoad === 0) {
+        await refresh(tenant);
+    }
+    return state;
+}
+
+// One referral per ServiceRequest, with the outcome of its first Task
+function referrals(aggregate) {
+    const firstTasks = new Map();
+    aggregate.tasks.forEach(task => {
+        const current = firstTasks.get(task.serviceRequestId);
+        if (task.serviceRequestId && (!current || String(task.authoredOn) < String(current.authoredOn))) {
+            firstTasks.set(task.serviceRequestId, task);
+        }
+    });
+    return [...aggregate.serviceRequests].map(([id, serviceRequest]) => {
+        const task = firstTasks.get(id) || {};
+        return {
+            ...serviceRequest,
+            month: serviceRequest.authoredOn ? serviceRequest.authoredOn.slice(0, 7) : 'unknown',
+            acceptedAt: task.acceptedAt || null,
+            completedAt: task.completedAt || null,
+            rejectedAt: task.rejectedAt || null,
+            rejectionReason: task.rejectionReason || null
+        };
+    });
+}
+
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    const value = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    return Math.round(value * 10) / 10;
+}
+
+const hoursBetween = (from, to) => (Date.parse(to) - Date.parse(from)) / HOUR_MS;
+
+// Metrics of a set of referrals. The acceptance rate is over the referrals that were accepted or rejected.
+function computeMetrics(list) {
+    const accepted = list.filter(referral => referral.acceptedAt);
+    const rejected = list.filter(referral => referral.rejectedAt && !referral.acceptedAt);
+    const completed = list.filter(referral => referral.completedAt);
+    // A Map, so that reasons such as "constructor" or "__proto__" are counted like any other
+    const rejectionReasons = new Map();
+    rejected.forEach(referral => {
+        rejectionReasons.set(referral.rejectionReason, (rejectionReasons.get(referral.rejectionReason) || 0) + 1);
+    });
+    const decided = accepted.length + rejected.length;
+    return {
+        created: list.length,
+        accepted: accepted.length,
+        rejected: rejected.length,
+        completed: completed.length,
+        acceptanceRate: decided > 0 ? Math.round((accepted.length / decided) * 1000) / 1000 : null,
+        medianHoursToAccept: median(accepted.filter(r => r.authoredOn).map(r => hoursBetween(r.authoredOn, r.acceptedAt))),
+        medianHoursToComplete: median(completed.filter(r => r.authoredOn).map(r => hoursBetween(r.authoredOn, r.completedAt))),
+        rejectionReasons: Object.fromEntries(rejectionReasons)
+    };
+}
+
+// Read and check the analytics query parameters: from and to (YYYY-MM-DD, on the authored date) and
+// groupBy (comma separated dimensions, all of them by default)
+function parseAnalyticsQuery({ from, to, groupBy }) {
+    const invalidDate = [from, to].find(date => date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+    if (invalidDate !== undefined) {
+        throw new ServiceError('from and to must be dates in YYYY-MM-DD format', { status: 400, code: 'invalid_date_range' });
+    }
+    const dimensions = groupBy ? String(groupBy).split(',') : DIMENSIONS;
+    const unknown = dimensions.filter(dimension => !DIMENSIONS.includes(dimension));
+    if (unknown.length > 0) {
+        throw new ServiceError(`groupBy may only list ${DIMENSIONS.join(', ')}`, { status: 400, code: 'invalid_group_by' });
+    }
+    return { from, to, dimensions };
+}
+
+// Referral metrics of the tenant overall and per group of each requested dimension, from its local
+// aggregate. refreshFirst picks up changes made since the last refresh before computing.
+async function getReferralAnalytics(tenant, query, { refreshFirst = false } = {}) {
+    const { from, to, dimensions } = parseAnalyticsQuery(query);
+    const state = await ready(tenant);
+    if (refreshFirst) {
+        await refresh(tenant);
+    }
+    const selected = referrals(state.aggregate).filter(referral => {
+        const date = referral.authoredOn ? referral.authoredOn.slice(0, 10) : null;
+        return (!from || (date && date >= from)) && (!to || (date && date <= to));
+    });
+
+    const groups = {};
+    dimensions.forEach(dimension => {
+        const byKey = new Map();
+        selected.forEach(referral => {
+            if (!byKey.has(referral[dimension])) {
+                byKey.set(referral[dimension], []);
+            }
+            byKey.get(referral[dimension]).push(referral);
+        });
+        groups[dimension] = [...byKey]
+            .sort(([a], [b]) => String(a).localeCompare(String(b)))
+            .map(([key, list]) => ({
+                key,
+                label: dimension === 'organization' ? (list.find(r => r.organizationName) || {}).organizationName || key : key,
+                ...computeMetrics(list)
+            }));
+    });
+    return {
+        dataAsOf: state.lastUpdated,
+        from: from || null,
+        to: to || null,
+        overall: computeMetrics(selected),
+        groups
+    };
+}
+
+const CSV_COLUMNS = ['dimension', 'key', 'label', 'created', 'accepted', 'rejected', 'completed', 'acceptanceRate', 'medianHoursToAccept', 'medianHoursToComplete', 'rejectionReasons'];
+
+// Text starting with one of these is taken for a formula by spreadsheets, so it gets a leading quote
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = value => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+        text = `'${text}`;
+    }
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// The analytics as CSV: one row for all referrals, then one per group. Rejection reasons are "reason: count" pairs separated by "; ".
+function toCsv(analytics) {
+    const rows = [
+        { dimension: 'all', key: 'all', label: 'All referrals', ...analytics.overall },
+        ...Object.entries(analytics.groups).flatMap(([dimension, groups]) => groups.map(group => ({ dimension, ...group })))
+    ];
+    return [
+        CSV_COLUMNS.join(','),
+        ...rows.map(row => CSV_COLUMNS.map(column => csvField(column === 'rejectionReasons'
+            ? Object.entries(row.rejectionReasons).map(([reason, count]) => `${reason}: ${count}`).join('; ')
+            : row[column])).join(','))
+    ].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    ready,
+    refresh,
+    getReferralAnalytics,
+    computeMetrics,
+    toCsv
+};
@@ -0,0 +1,224 @@
+const fhirClient = require('./fhirClient');
+const providerDirectory = require('./providerDirectory');
+const { fetchAllPages } = require('./fhirPaging');
+const { ROLES } = require('./callerAuth');
+const { ServiceError, AuthorizationError } = require('./errors');
+
+// Messages between the referrer and the performing organization about a referral, stored as FHIR R4
+// Communication resources that are part of the referral's Task and based on its ServiceRequest. A
+// message is sent by one participant of the referral to another; the recipient marks it read, which
+// is recorded as the Communication's received time.
+
+const REFERRAL_MESSAGE_CATEGORY = {
+    coding: [{ system: 'http://terminology.hl7.org/CodeSystem/communication-category', code: 'notification', display: 'Notification' }],
+    text: 'Referral message'
+};
+
+const taskUrl = (fhirServerURL, taskId) => `${fhirServerURL}/Task/${encodeURIComponent(taskId)}`;
+const communicationUrl = (fhirServerURL, messageId) => `${fhirServerURL}/Communication/${encodeURIComponent(messageId)}`;
+
+const idFromReference = (reference, type) => (reference && reference.startsWith(`${type}/`) ? reference.slice(type.length + 1) : null);
+
+// The Task and the ServiceRequest it fulfills
+async function loadReferral(fhirServerURL, accessToken, taskId) {
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+    const task = (await fhirClient.get(taskUrl(fhirServerURL, taskId), { headers })).data;
+    const focus = task.focus && task.focus.reference;
+    if (!focus || !focus.startsWith('ServiceRequest/')) {
+        throw new ServiceError(`Task '${taskId}' is not linked to a ServiceRequest`, { status: 409, code: 'task_without_referral' });
+    }
+    const serviceRequest = (await fhirClient.get(`${fhirServerURL}/${focus}`, { headers })).data;
+    return { task, serviceRequest, patientId: idFromReference(task.for && task.for.reference, 'Patient') };
+}
+
+// Everyone a referral's messages can be addressed to: the requesting practitioner (and the role they
+// referred in), the performing organization and the staff member who owns the Task
+function participantsOf({ task, serviceRequest }) {
+    const references = [
+        serviceRequest.requester,
+        task.requester,
+        ...(serviceRequest.performer || []),
+        task.owner
+    ].map(party => party && party.reference).filter(Boolean);
+    return [...new Set(references)];
+}
+
+// The caller as a party of a message: their Practitioner, or the Organization of staff tokens without one.
+// Administrators without a Practitioner are named by their token subject.
+function callerParty(caller) {
+    if (caller.practitionerId) {
+        return { reference: `Practitioner/${caller.practitionerId}` };
+    }
+    if (caller.organizationId) {
+        return { reference: `Organization/${caller.organizationId}` };
+    }
+    return { display: caller.subject };
+}
+
+// Who a message goes to when the sender does not say: referrers write to the Task owner,
+// everyone else to the referring practitioner
+function defaultRecipient(caller, { task, serviceRequest }) {
+    const recipient = caller.roles.includes(ROLES.REFERRER) ? task.owner : serviceRequest.requester;
+    if (!recipient || !recipient.reference) {
+        throw new ServiceError('The referral has no participant to send the message to; give a recipient', { status: 400, code: 'invalid_recipient' });
+    }
+    return recipient.reference;
+}
+
+// Whether a message to recipient (a Practitioner, PractitionerRole or Organization reference) is addressed to the caller
+async function addressedTo(fhirServerURL, caller, recipient) {
+    const practitioner = caller.practitionerId ? `Practitioner/${caller.practitionerId}` : null;
+    if (recipient === practitioner || (caller.organizationId && recipient === `Organization/${caller.organizationId}`)) {
+        return true;
+    }
+    const roleId = idFromReference(recipient, 'PractitionerRole');
+    if (!roleId || !practitioner) {
+        return false;
+    }
+    const role = await providerDirectory.getById(fhirServerURL, 'PractitionerRole', roleId);
+    return Boolean(role && role.practitioner === practitioner);
+}
+
+// Display names of the Practitioners, Organizations and PractitionerRoles (by their practitioner) from the provider directory
+async function resolveNames(fhirServerURL, references) {
+    const resolved = await Promise.all([...new Set(references.filter(Boolean))].map(async reference => {
+        const [type, id] = reference.split('/');
+        let entry = ['Practitioner', 'Organization', 'PractitionerRole'].includes(type) ? await providerDirectory.getById(fhirServerURL, type, id) : null;
+        if (entry && type === 'PractitionerRole') {
+            entry = entry.practitioner ? await providerDirectory.getById(fhirServerURL, 'Practitioner', idFromReference(entry.practitioner, 'Practitioner')) : null;
+        }
+        return [reference, entry ? entry.name : null];
+    }));
+    return new Map(resolved);
+}
+
+// A party of a message as { reference, name }, falling back to the display stored on the message
+const partyView = (party, names) => (party ? {
+    reference: party.reference || null,
+    name: (party.reference && names.get(party.reference)) || party.display || null
+} : null);
+
+// Summary of a Communication for the UI, with the resource itself
+function messageView(communication, names) {
+    const payload = communication.payload || [];
+    return {
+        id: communication.id,
+        sent: communication.sent || null,
+        sender: partyView(communication.sender, names),
+        recipient: partyView((communication.recipient || [])[0], names),
+        text: payload.filter(p => p.contentString !== undefined).map(p => p.contentString).join('\n'),
+        attachments: payload.filter(p => p.contentAttachment).map(p => p.contentAttachment),
+        read: Boolean(communication.received),
+        readAt: communication.received || null,
+        communication
+    };
+}
+
+// Build a Communication from the validated body of a message (see messageSchema)
+function createCommunicationObject({ task, serviceRequest }, sender, recipient, { text, attachments = [] }) {
+    return {
+        resourceType: 'Communication',
+        status: 'completed',
+        category: [REFERRAL_MESSAGE_CATEGORY],
+        partOf: [{ reference: `Task/${task.id}` }],
+        basedOn: [{ reference: `ServiceRequest/${serviceRequest.id}` }],
+        subject: task.for,
+        sent: new Date().toISOString(),
+        sender,
+        recipient: [{ reference: recipient }],
+        payload: [
+            { contentString: text },
+            ...attachments.map(({ contentType, title, url, data }) => ({
+                contentAttachment: {
+                    contentType,
+                    ...(title ? { title } : {}),
+                    ...(url ? { url } : { data, size: Buffer.from(data, 'base64').length }),
+                    creation: new Date().toISOString()
+                }
+            }))
+        ]
+    };
+}
+
+// Post a message on the referral. The recipient defaults to the other side of the referral and must
+// otherwise be one of its participants.
+async function postMessage(fhirServerURL, accessToken, caller, referral, body) {
+    const participants = participantsOf(referral);
+    const recipient = body.recipient || defaultRecipient(caller, referral);
+    if (!participants.includes(recipient)) {
+        throw new ServiceError(`${recipient} is not a participant of the referral; use one of ${participants.join(', ')}`, { status: 400, code: 'invalid_recipient' });
+    }
+    const sender = callerParty(caller);
+    const response = await fhirClient.post(`${fhirServerURL}/Communication`, createCommunicationObject(referral, sender, recipient, body), {
+        headers: {
+            'Authorization': `Bearer ${accessToken}`,
+            'Content-Type': 'application/fhir+json'
+        }
+    });
+    return messageView(response.data, await resolveNames(fhirServerURL, [sender.reference, recipient]));
+}
+
+// The messages of a referral's Task, oldest first, with the participants' names and the number of
+// messages to the caller that are not read yet
+async function getThread(fhirServerURL, accessToken, caller, referral) {
+    const taskReference = `Task/${referral.task.id}`;
+    const communications = [];
+    await fetchAllPages(fhirServerURL, accessToken, 'Communication', { params: { 'part-of': taskReference, '_sort': 'sent' } }, page => {
+        // The server narrows the search; the Task is checked here on what it returns
+        page.entry.map(entry => entry.resource)
+            .filter(resource => resource.resourceType === 'Communication' && (resource.partOf || []).some(p => p.reference === taskReference))
+            .forEach(resource => communications.push(resource));
+    });
+    communications.sort((a, b) => String(a.sent || '').localeCompare(String(b.sent || '')) || String(a.id).localeCompare(String(b.id)));
+
+    const participants = participantsOf(referral);
+    const names = await resolveNames(fhirServerURL, [
+        ...participants,
+        ...communications.flatMap(c => [c.sender && c.sender.reference, ...(c.recipient || []).map(r => r.reference)])
+    ]);
+    const messages = communications.map(communication => messageView(communication, names));
+    // Whether the caller is the recipient, looked up once per distinct recipient of the unread messages
+    const unreadMessages = messages.filter(message => !message.read && message.recipient);
+    const recipients = [...new Set(unreadMessages.map(message => message.recipient.reference))];
+    const addressed = new Set((await Promise.all(recipients.map(async recipient => (await addressedTo(fhirServerURL, caller, recipient) ? recipient : null))))
+        .filter(Boolean));
+    const unread = unreadMessages.filter(message => addressed.has(message.recipient.reference)).length;
+    return {
+        task: taskReference,
+        serviceRequest: `ServiceRequest/${referral.serviceRequest.id}`,
+        participants: participants.map(reference => ({ reference, name: names.get(reference) || null })),
+        unread,
+        total: messages.length,
+        messages
+    };
+}
+
+// Mark a message of the Task read by its recipient, recording when it was first read. Marking it again changes nothing.
+async function markRead(fhirServerURL, accessToken, caller, taskId, messageId) {
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+    const current = (await fhirClient.get(communicationUrl(fhirServerURL, messageId), { headers })).data;
+    if (!(current.partOf || []).some(p => p.reference === `Task/${taskId}`)) {
+        throw new ServiceError(`Message '${messageId}' is not a message of Task/${taskId}`, { status: 404, code: 'not_found' });
+    }
+    const recipient = ((current.recipient || [])[0] || {}).reference;
+    if (!await addressedTo(fhirServerURL, caller, recipient)) {
+        throw new AuthorizationError('Only the recipient of a message can mark it read');
+    }
+
+    let communication = current;
+    if (!current.received) {
+        const read = JSON.parse(JSON.stringify(current));
+        read.received = new Date().toISOString();
+        communication = (await fhirClient.put(communicationUrl(fhirServerURL, messageId), read, {
+            headers: { ...headers, 'Content-Type': 'application/fhir+json', 'If-Match': `W/"${current.meta.versionId}"` }
+        })).data;
+    }
+    return messageView(communication, await resolveNames(fhirServerURL, [(current.sender || {}).reference, recipient]));
+}
+
+module.exports = {
+    loadReferral,
+    postMessage,
+    getThread,
+    markRead
+};
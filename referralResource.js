@@ -0,0 +1,153 @@
+const fhirClient = require('./fhirClient');
+const providerDirectory = require('./providerDirectory');
+const { ServiceError } = require('./errors');
+
+//this fucntion creates a Service Request with the values coming from UI
+function createServiceRequestObject(
+    patientID,
+    practitionerId,
+    practitionerName,
+    organizationId,
+    organizationName,
+    referralText,
+    serviceRequestText,
+    reasonReference = [],
+    consentId,
+    priority = 'routine'
+) {
+    const serviceRequest = {
+        "resourceType": "ServiceRequest",
+        "status": "active",
+        "intent": "order",
+        "priority": priority,
+        "category": [
+            {
+                "coding": [
+                    {
+                        "system": "codesystem/ordercategory",
+                        "code": "referrals",
+                        "display": "Referrals"
+                    }
+                ],
+                "text": "Referrals"
+            }
+        ],
+        "code": {
+            "text": `${serviceRequestText}`
+        },
+        "authoredOn": new Date().toISOString(),
+        "subject": {
+            "reference": `Patient/${patientID}`  
+        },
+        "requester": {
+            "reference": `Practitioner/${practitionerId}`,  
+            "display": practitionerName
+        },
+        "performer": [
+            {
+                "reference": `Organization/${organizationId}`,  
+                "display": organizationName
+            }
+        ],
+        "note": [
+            {
+                "text": referralText
+            }
+        ]
+    };
+    // Link the SDOH Conditions or Observations behind the referral, as SDOHCC expects
+    if (reasonReference.length > 0) {
+        serviceRequest.reasonReference = reasonReference.map(reference => ({ "reference": reference }));
+    }
+    // The patient's consent to share the referral with the performing organization
+    if (consentId) {
+        serviceRequest.supportingInfo = [{ "reference": `Consent/${consentId}` }];
+    }
+    return serviceRequest;
+}
+
+//this fucntion creates a Task with the values coming from UI.
+//serviceRequestReference is "ServiceRequest/<id>" or the urn:uuid of a ServiceRequest in the same transaction.
+//The requesting practitioner (or their PractitionerRole) is the requester and the performing organization owns the Task
+//until one of its staff claims it, see worklists.js
+function createTaskObject(
+    patientId,
+    serviceRequestReference,
+    practitionerId,
+    practitionerName,
+    organizationId,
+    organizationName,
+    practitionerRoleId,
+    priority = 'routine'
+) {
+    const task = {
+        "resourceType": "Task",
+        "meta": {
+            "profile": [
+                "http://hl7.org/fhir/us/sdoh-clinicalcare/StructureDefinition/SDOHCC-TaskForReferralManagement"
+            ]
+        },
+        "status": "requested",
+        "intent": "order",
+        "priority": priority,
+        "code": {
+            "coding": [
+                {
+                    "system": "http://hl7.org/fhir/CodeSystem/task-code",
+                    "code": "fulfill",
+                    "display": "Fulfill the service request"
+                }
+            ]
+        },
+        "focus": {
+            "reference": serviceRequestReference
+        },
+        "for": {
+            "reference": `Patient/${patientId}`
+        },
+        "authoredOn": new Date().toISOString(),
+        "requester": {
+            "reference": practitionerRoleId ? `PractitionerRole/${practitionerRoleId}` : `Practitioner/${practitionerId}`,
+            "display": practitionerName
+        },
+        "businessStatus": {
+            "text": "Received"
+        },
+        "owner": {
+            "reference": `Organization/${organizationId}`,
+            "display": organizationName
+        },
+    };
+    return task;
+}
+
+// The practitioner reference of a PractitionerRole read from the FHIR server, or null when there is no such role
+async function readRolePractitioner(fhirServerURL, accessToken, practitionerRoleId) {
+    try {
+        const role = (await fhirClient.get(`${fhirServerURL}/PractitionerRole/${encodeURIComponent(practitionerRoleId)}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` }
+        })).data;
+        return role.practitioner ? role.practitioner.reference : null;
+    } catch (error) {
+        if (error.response && [404, 410].includes(error.response.status)) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+// Make sure the PractitionerRole a referral is made in belongs to the referring practitioner. The provider
+// directory only learns of new roles on its next refresh, so a role it does not know is read from the FHIR server.
+async function assertPractitionerRole(fhirServerURL, accessToken, practitionerId, practitionerRoleId) {
+    const indexed = await providerDirectory.getById(fhirServerURL, 'PractitionerRole', practitionerRoleId);
+    const practitioner = indexed ? indexed.practitioner : await readRolePractitioner(fhirServerURL, accessToken, practitionerRoleId);
+    if (practitioner !== `Practitioner/${practitionerId}`) {
+        throw new ServiceError(`PractitionerRole/${practitionerRoleId} is not a role of Practitioner/${practitionerId}`, { status: 400, code: 'invalid_practitioner_role' });
+    }
+}
+
+module.exports = {
+    createServiceRequestObject,
+    createTaskObject,
+    assertPractitionerRole
+};
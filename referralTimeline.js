@@ -0,0 +1,128 @@
+const fhirClient = require('./fhirClient');
+const { fetchAllPages } = require('./fhirPaging');
+const { resourceDisplayName } = require('./fhirNames');
+
+// History of at most this many Tasks is requested in one batch Bundle
+const HISTORY_BATCH_SIZE = 50;
+
+// Fetch the referrals of a patient with their Tasks, requesters and performers in one search
+// (_revinclude/_include), following next links. extraParams narrows the ServiceRequest search.
+async function fetchReferralResources(fhirServerURL, accessToken, patientId, extraParams = {}) {
+    const params = {
+        'subject': `Patient/${patientId}`,
+        '_revinclude': 'Task:focus',
+        '_include': ['ServiceRequest:requester', 'ServiceRequest:performer'],
+        ...extraParams
+    };
+
+    const serviceRequests = [];
+    const tasks = [];
+    const included = new Map();
+    await fetchAllPages(fhirServerURL, accessToken, 'ServiceRequest', { params }, page => {
+        page.entry.forEach(entry => {
+            const resource = entry.resource;
+            if (resource.resourceType === 'ServiceRequest' && (!entry.search || entry.search.mode !== 'include')) {
+                serviceRequests.push(entry);
+            } else if (resource.resourceType === 'Task') {
+                tasks.push(entry);
+            } else {
+                included.set(`${resource.resourceType}/${resource.id}`, resource);
+            }
+        });
+    });
+    return { serviceRequests, tasks, included };
+}
+
+// Fetch the version history of the Tasks with one batch Bundle per HISTORY_BATCH_SIZE Tasks
+async function fetchTaskHistories(fhirServerURL, accessToken, taskIds) {
+    const histories = new Map();
+    for (let i = 0; i < taskIds.length; i += HISTORY_BATCH_SIZE) {
+        const ids = taskIds.slice(i, i + HISTORY_BATCH_SIZE);
+        const response = await fhirClient.post(fhirServerURL, {
+            resourceType: 'Bundle',
+            type: 'batch',
+            entry: ids.map(id => ({ request: { method: 'GET', url: `Task/${id}/_history` } }))
+        }, {
+            headers: { 'Content-Type': 'application/fhir+json', 'Authorization': `Bearer ${accessToken}` }
+        });
+        (response.data.entry || []).forEach((entry, index) => {
+            histories.set(ids[index], entry.resource && entry.resource.entry ? entry.resource.entry.map(e => e.resource) : []);
+        });
+    }
+    return histories;
+}
+
+// Reduce Task versions to the points where status or businessStatus changed, oldest first
+function statusHistory(versions) {
+    const history = [];
+    [...versions]
+        .filter(Boolean)
+        .sort((a, b) => (a.meta.lastUpdated < b.meta.lastUpdated ? -1 : 1))
+        .forEach(version => {
+            const businessStatus = version.businessStatus ? version.businessStatus.text : undefined;
+            const previous = history[history.length - 1];
+            if (!previous || previous.status !== version.status || previous.businessStatus !== businessStatus) {
+                history.push({
+                    status: version.status,
+                    businessStatus,
+                    statusReason: version.statusReason ? version.statusReason.text : undefined,
+                    versionId: version.meta.versionId,
+                    date: version.meta.lastUpdated
+                });
+            }
+        });
+    return history;
+}
+
+// Resolve a reference to { reference, name } using the included resources
+const resolveParty = (included, party) => (party ? {
+    reference: party.reference,
+    name: resourceDisplayName(included.get(party.reference)) || party.display || null
+} : null);
+
+// Build the referral timeline of a patient: each ServiceRequest with its Tasks nested, resolved
+// requester/performer names and Task status history. Filters: statuses (Task statuses), from/to (authored date).
+async function getReferralTimeline(fhirServerURL, accessToken, patientId, { scopeParams = {}, statuses, from, to, includeHistory = true } = {}) {
+    const authored = [from && `ge${from}`, to && `le${to}`].filter(Boolean);
+    const extraParams = { ...scopeParams };
+    if (authored.length > 0) {
+        extraParams.authored = authored;
+    }
+    const { serviceRequests, tasks, included } = await fetchReferralResources(fhirServerURL, accessToken, patientId, extraParams);
+
+    const histories = includeHistory
+        ? await fetchTaskHistories(fhirServerURL, accessToken, tasks.map(entry => entry.resource.id))
+        : new Map();
+
+    const referrals = serviceRequests.map(({ resource: serviceRequest }) => {
+        const reference = `ServiceRequest/${serviceRequest.id}`;
+        const referralTasks = tasks
+            .map(entry => entry.resource)
+            .filter(task => task.focus && task.focus.reference === reference)
+            .sort((a, b) => (a.authoredOn < b.authoredOn ? -1 : 1))
+            .map(task => ({
+                task,
+                statusHistory: includeHistory ? statusHistory(histories.get(task.id) || [task]) : undefined
+            }));
+
+        return {
+            serviceRequest,
+            authoredOn: serviceRequest.authoredOn || serviceRequest.meta.lastUpdated,
+            status: referralTasks.length > 0 ? referralTasks[referralTasks.length - 1].task.status : serviceRequest.status,
+            requester: resolveParty(included, serviceRequest.requester),
+            performer: (serviceRequest.performer || []).map(performer => resolveParty(included, performer)),
+            tasks: referralTasks
+        };
+    });
+
+    return referrals
+        .filter(referral => !statuses || statuses.includes(referral.status))
+        .sort((a, b) => (a.authoredOn < b.authoredOn ? 1 : -1));
+}
+
+module.exports = {
+    fetchReferralResources,
+    fetchTaskHistories,
+    statusHistory,
+    getReferralTimeline
+};
@@ -0,0 +1,220 @@
+const { ValidationError } = require('./errors');
+const terminology = require('./terminology');
+const { TRANSITIONS } = require('./taskWorkflow');
+
+// US states, the District of Columbia and territories accepted in addresses
+const US_STATES = [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA',
+    'KS', 'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM',
+    'NY', 'NC', 'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA',
+    'WV', 'WI', 'WY', 'AS', 'GU', 'MP', 'PR', 'VI'
+];
+
+// FHIR resource id
+const FHIR_ID = /^[A-Za-z0-9\-.]{1,64}$/;
+// "Type/id" reference to a resource of any type
+const RESOURCE_REFERENCE = /^[A-Z][A-Za-z]+\/[A-Za-z0-9\-.]{1,64}$/;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const ZIP = /^\d{5}(-\d{4})?$/;
+const MIME_TYPE = /^[\w.+-]+\/[\w.+-]+$/;
+const BASE64 = /^(?:[A-Za-z0-9+/]{4})*(?:[A-Za-z0-9+/]{2}==|[A-Za-z0-9+/]{3}=)?$/;
+
+// Check a YYYY-MM-DD string is a real calendar date
+function isCalendarDate(value) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+// Checks for each field type. Each returns an error message, or null when the value is valid.
+const TYPE_CHECKS = {
+    string: (value, rule) => {
+        if (typeof value !== 'string') {
+            return 'must be a string';
+        }
+        return rule.maxLength && value.length > rule.maxLength ? `must be at most ${rule.maxLength} characters` : null;
+    },
+    boolean: value => (typeof value === 'boolean' ? null : 'must be true or false'),
+    id: value => (typeof value === 'string' && FHIR_ID.test(value) ? null : 'must be a valid FHIR resource id'),
+    date: (value, rule) => {
+        if (typeof value !== 'string' || !isCalendarDate(value)) {
+            return 'must be a date in YYYY-MM-DD format';
+        }
+        const today = new Date().toISOString().slice(0, 10);
+        if (rule.notInFuture && value > today) {
+            return 'must not be in the future';
+        }
+        return rule.notInPast && value < today ? 'must not be in the past' : null;
+    },
+    phone: value => {
+        // US numbers, formatting characters and a leading country code are allowed
+        const digits = typeof value === 'string' && /^[\d\s()+.-]+$/.test(value) ? value.replace(/\D/g, '') : '';
+        return digits.length === 10 || (digits.length === 11 && digits[0] === '1') ? null : 'must be a 10 digit US phone number';
+    },
+    email: value => (typeof value === 'string' && EMAIL.test(value) ? null : 'must be a valid email address'),
+    usState: value => (typeof value === 'string' && US_STATES.includes(value.toUpperCase()) ? null : 'must be a US state code such as MA'),
+    zip: value => (typeof value === 'string' && ZIP.test(value) ? null : 'must be a 5 digit or ZIP+4 code'),
+    // List of "Type/id" references to the resource types of the rule
+    references: (value, rule) => (Array.isArray(value) && value.length <= rule.maxItems && value.every(reference => typeof reference === 'string'
+        && rule.resourceTypes.includes(reference.split('/')[0]) && FHIR_ID.test(reference.split('/')[1] || '') && reference.split('/').length === 2)
+        ? null
+        : `must be a list of at most ${rule.maxItems} ${rule.resourceTypes.join(' or ')} references such as ${rule.resourceTypes[0]}/123`),
+    // A single "Type/id" reference to one of the resource types of the rule
+    reference: (value, rule) => (typeof value === 'string' && value.split('/').length === 2
+        && rule.resourceTypes.includes(value.split('/')[0]) && FHIR_ID.test(value.split('/')[1])
+        ? null
+        : `must be a ${rule.resourceTypes.join(' or ')} reference such as ${rule.resourceTypes[0]}/123`),
+    // List of attachments, each { contentType, title, url } or { contentType, title, data } with base64 data
+    attachments: (value, rule) => {
+        if (!Array.isArray(value) || value.length > rule.maxItems) {
+            return `must be a list of at most ${rule.maxItems} attachments`;
+        }
+        const invalid = value.findIndex(attachment => !attachment || typeof attachment !== 'object'
+            || typeof attachment.contentType !== 'string' || !MIME_TYPE.test(attachment.contentType)
+            || (attachment.title !== undefined && (typeof attachment.title !== 'string' || attachment.title.length > 200))
+            || (attachment.url === undefined) === (attachment.data === undefined)
+            || (attachment.url !== undefined && !(typeof attachment.url === 'string' && /^https:\/\/\S+$/.test(attachment.url)))
+            || (attachment.data !== undefined && !(typeof attachment.data === 'string' && BASE64.test(attachment.data))));
+        return invalid === -1 ? null : `[${invalid}] must have a contentType, an optional title and either an https url or base64 data`;
+    },
+    // List of Task outputs, each { reference, display } naming the activity that fulfilled the referral or { text }
+    taskOutputs: (value, rule) => {
+        if (!Array.isArray(value) || value.length > rule.maxItems) {
+            return `must be a list of at most ${rule.maxItems} outputs`;
+        }
+        const invalid = value.findIndex(output => !output || typeof output !== 'object' || Array.isArray(output)
+            || (output.reference === undefined) === (output.text === undefined)
+            || (output.reference !== undefined && !(typeof output.reference === 'string' && RESOURCE_REFERENCE.test(output.reference)))
+            || (output.display !== undefined && (output.reference === undefined || typeof output.display !== 'string' || output.display.length > 200))
+            || (output.text !== undefined && (typeof output.text !== 'string' || output.text.length > 4000)));
+        return invalid === -1 ? null : `[${invalid}] must have either a reference such as Procedure/123 with an optional display, or text`;
+    },
+    enum: (value, rule) => (rule.values.includes(value) ? null : `must be one of: ${rule.values.join(', ')}`),
+    // A code, display or synonym of one of the value sets, e.g. "2106-3", "White" or "Caucasian"
+    valueSet: (value, rule) => (typeof value === 'string' && rule.valueSets.some(valueSet => terminology.findConcept(valueSet, value))
+        ? null
+        : `must be a code or display from ValueSet ${rule.valueSets.join(' or ')}`)
+};
+
+// Field types whose failures are reported with the code-invalid issue code
+const CODED_TYPES = ['enum', 'valueSet'];
+
+// Request body of POST /createPatient
+const patientSchema = {
+    firstName: { type: 'string', required: true, maxLength: 100 },
+    lastName: { type: 'string', required: true, maxLength: 100 },
+    dateOfBirth: { type: 'date', required: true, notInFuture: true },
+    gender: { type: 'enum', values: ['male', 'female', 'other', 'unknown'] },
+    race: { type: 'valueSet', valueSets: ['omb-race-category', 'detailed-race'] },
+    sex_at_birth: { type: 'valueSet', valueSets: ['birthsex'] },
+    ethnicity: { type: 'valueSet', valueSets: ['omb-ethnicity-category', 'detailed-ethnicity'] },
+    genderIdentity: { type: 'string', maxLength: 100 },
+    sexualOrientation: { type: 'string', maxLength: 100 },
+    language: { type: 'valueSet', valueSets: ['languages'] },
+    phoneNumber: { type: 'phone' },
+    email: { type: 'email' },
+    address1: { type: 'string', maxLength: 200 },
+    address2: { type: 'string', maxLength: 200 },
+    city: { type: 'string', maxLength: 100 },
+    state: { type: 'usState' },
+    zipcode: { type: 'zip' },
+    confirmNotDuplicate: { type: 'boolean' }
+};
+
+// Request body of the Patient updates: any subset of the create fields. Fields required on create
+// may be left out but not cleared.
+const patientUpdateSchema = Object.fromEntries(Object.entries(patientSchema)
+    .filter(([field]) => field !== 'confirmNotDuplicate')
+    .map(([field, { required, ...rule }]) => [field, { ...rule, notClearable: required }]));
+
+// Request body of POST /createServiceRequestandtask
+const serviceRequestSchema = {
+    patientID: { type: 'id', required: true },
+    practitionerId: { type: 'id', required: true },
+    practitionerName: { type: 'string', maxLength: 200 },
+    organizationId: { type: 'id', required: true },
+    organizationName: { type: 'string', maxLength: 200 },
+    referralText: { type: 'string', maxLength: 4000 },
+    serviceRequestText: { type: 'string', required: true, maxLength: 500 },
+    // Role the practitioner refers in, recorded as the Task requester
+    practitionerRoleId: { type: 'id' },
+    priority: { type: 'enum', values: ['routine', 'urgent', 'asap', 'stat'] },
+    // Screening findings the referral addresses, see POST /Patient/:patientId/screenings
+    reasonReference: { type: 'references', resourceTypes: ['Condition', 'Observation'], maxItems: 20 }
+};
+
+// Request body of POST /Patient/:patientId/consents: the organization the patient agrees to share
+// referral data with, and the last day the consent is valid
+const consentSchema = {
+    organizationId: { type: 'id', required: true },
+    organizationName: { type: 'string', maxLength: 200 },
+    expires: { type: 'date', required: true, notInPast: true }
+};
+
+// Request body of POST /Task/:taskId/reassign
+const taskAssignmentSchema = {
+    practitionerId: { type: 'id', required: true }
+};
+
+// Transition form of PUT /update/Task/:taskId; a JSON Patch array is checked by the workflow instead
+const taskTransitionSchema = {
+    status: { type: 'enum', values: Object.keys(TRANSITIONS) },
+    statusReason: { type: 'string', maxLength: 500 },
+    businessStatus: { type: 'string', maxLength: 200 },
+    note: { type: 'string', maxLength: 4000 },
+    output: { type: 'taskOutputs', maxItems: 20 }
+};
+
+// Request body of POST /Task/:taskId/messages. The recipient defaults to the other side of the referral.
+// Attachments are links to documents or small files inline, within the request body size limit.
+const messageSchema = {
+    text: { type: 'string', required: true, maxLength: 4000 },
+    recipient: { type: 'reference', resourceTypes: ['Practitioner', 'PractitionerRole', 'Organization'] },
+    attachments: { type: 'attachments', maxItems: 5 }
+};
+
+// Validate an object against a schema and return the list of issues
+function validate(schema, body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        return [{ field: '$', code: 'structure', message: 'Request body must be a JSON object' }];
+    }
+
+    const issues = [];
+    Object.entries(schema).forEach(([field, rule]) => {
+        const value = body[field];
+        // Empty strings from blank form fields count as missing
+        if (value === undefined || value === null || value === '') {
+            if (rule.required) {
+                issues.push({ field, code: 'required', message: `${field} is required` });
+            } else if (rule.notClearable && field in body) {
+                issues.push({ field, code: 'required', message: `${field} cannot be cleared` });
+            }
+            return;
+        }
+        const message = TYPE_CHECKS[rule.type](value, rule);
+        if (message) {
+            issues.push({ field, code: CODED_TYPES.includes(rule.type) ? 'code-invalid' : 'value', message: `${field} ${message}` });
+        }
+    });
+    return issues;
+}
+
+// Express middleware rejecting requests whose body does not match the schema
+const validateBody = schema => (req, res, next) => {
+    const issues = validate(schema, req.body);
+    next(issues.length > 0 ? new ValidationError(issues) : undefined);
+};
+
+module.exports = {
+    patientSchema,
+    patientUpdateSchema,
+    serviceRequestSchema,
+    consentSchema,
+    taskAssignmentSchema,
+    taskTransitionSchema,
+    messageSchema,
+    validate,
+    validateBody
+};
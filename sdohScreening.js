@@ -0,0 +1,284 @@
+const fhirClient = require('./fhirClient');
+const { ValidationError, ServiceError } = require('./errors');
+const { createTransactionBundle, newFullUrl, postTransaction } = require('./fhirTransaction');
+
+const LOINC = 'http://loinc.org';
+const SNOMED = 'http://snomed.info/sct';
+const ICD10CM = 'http://hl7.org/fhir/sid/icd-10-cm';
+const SDOHCC_CODES = 'http://hl7.org/fhir/us/sdoh-clinicalcare/CodeSystem/SDOHCC-CodeSystemTemporaryCodes';
+const OBSERVATION_CATEGORY = 'http://terminology.hl7.org/CodeSystem/observation-category';
+const US_CORE_CATEGORY = 'http://hl7.org/fhir/us/core/CodeSystem/us-core-category';
+
+const SCREENING_RESPONSE_PROFILE = 'http://hl7.org/fhir/us/sdoh-clinicalcare/StructureDefinition/SDOHCC-ObservationScreeningResponse';
+const CONDITION_PROFILE = 'http://hl7.org/fhir/us/sdoh-clinicalcare/StructureDefinition/SDOHCC-Condition';
+
+// SDOH domains findings are derived for, with the Condition code recorded when a screening shows risk
+const DOMAINS = {
+    'food-insecurity': {
+        display: 'Food Insecurity',
+        condition: [{ system: SNOMED, code: '733423003', display: 'Food insecurity' }, { system: ICD10CM, code: 'Z59.41', display: 'Food insecurity' }]
+    },
+    'housing-instability': {
+        display: 'Housing Instability',
+        condition: [{ system: SNOMED, code: '1156191002', display: 'Housing instability' }, { system: ICD10CM, code: 'Z59.819', display: 'Housing instability, housed, without risk of homelessness' }]
+    },
+    'inadequate-housing': {
+        display: 'Inadequate Housing',
+        condition: [{ system: SNOMED, code: '105531004', display: 'Unsatisfactory living conditions' }, { system: ICD10CM, code: 'Z59.1', display: 'Inadequate housing' }]
+    },
+    'transportation-insecurity': {
+        display: 'Transportation Insecurity',
+        condition: [{ system: SNOMED, code: '713458007', display: 'Lack of access to transportation' }, { system: ICD10CM, code: 'Z59.82', display: 'Transportation insecurity' }]
+    }
+};
+
+// Screening instruments: the LOINC question codes we derive findings from, the domain of each,
+// the LOINC answers allowed and the answers that indicate risk. Other questions are kept in the
+// QuestionnaireResponse only.
+const INSTRUMENTS = {
+    'ahc-hrsn': {
+        questionnaire: 'http://loinc.org/q/96777-8',
+        title: 'AHC HRSN screening tool',
+        items: [
+            {
+                code: '71802-3', display: 'Housing status', domain: 'housing-instability',
+                answers: { 'LA31993-1': 'I have a steady place to live', 'LA31994-9': 'I have a place to live today, but I am worried about losing it in the future', 'LA31995-6': 'I do not have a steady place to live' },
+                risk: ['LA31994-9', 'LA31995-6']
+            },
+            {
+                code: '96778-6', display: 'Problems with place where you live', domain: 'inadequate-housing', multiple: true,
+                answers: { 'LA31996-4': 'Pests such as bugs, ants, or mice', 'LA28580-1': 'Mold', 'LA31997-2': 'Lead paint or pipes', 'LA31998-0': 'Lack of heat', 'LA31999-8': 'Oven or stove not working', 'LA32000-4': 'Smoke detectors missing or not working', 'LA32001-2': 'Water leaks', 'LA9-3': 'None of the above' },
+                risk: ['LA31996-4', 'LA28580-1', 'LA31997-2', 'LA31998-0', 'LA31999-8', 'LA32000-4', 'LA32001-2']
+            },
+            {
+                code: '88122-7', display: 'Within the past 12 months we worried whether our food would run out before we got money to buy more', domain: 'food-insecurity',
+                answers: { 'LA28397-0': 'Often true', 'LA6729-3': 'Sometimes true', 'LA28398-8': 'Never true' },
+                risk: ['LA28397-0', 'LA6729-3']
+            },
+            {
+                code: '88123-5', display: 'Within the past 12 months the food we bought just didn\'t last and we didn\'t have money to get more', domain: 'food-insecurity',
+                answers: { 'LA28397-0': 'Often true', 'LA6729-3': 'Sometimes true', 'LA28398-8': 'Never true' },
+                risk: ['LA28397-0', 'LA6729-3']
+            },
+            {
+                code: '93030-5', display: 'Has lack of transportation kept you from medical appointments, meetings, work, or from getting things needed for daily living', domain: 'transportation-insecurity',
+                answers: { 'LA33-6': 'Yes', 'LA32-8': 'No' },
+                risk: ['LA33-6']
+            }
+        ]
+    },
+    'prapare': {
+        questionnaire: 'http://loinc.org/q/93025-5',
+        title: 'PRAPARE',
+        items: [
+            {
+                code: '71802-3', display: 'Housing status', domain: 'housing-instability',
+                answers: { 'LA30190-5': 'I have housing', 'LA30191-3': 'I do not have housing', 'LA30122-8': 'I choose not to answer this question' },
+                risk: ['LA30191-3']
+            },
+            {
+                code: '93033-9', display: 'Are you worried about losing your housing?', domain: 'housing-instability',
+                answers: { 'LA33-6': 'Yes', 'LA32-8': 'No', 'LA30122-8': 'I choose not to answer this question' },
+                risk: ['LA33-6']
+            },
+            {
+                code: '93031-3', display: 'In the past year, have you or any family members you live with been unable to get any of the following when it was really needed?', domain: 'food-insecurity', multiple: true,
+                answers: { 'LA30125-1': 'Food', 'LA30126-9': 'Clothing', 'LA30124-4': 'Utilities', 'LA30127-7': 'Child care', 'LA30128-5': 'Medicine or any health care', 'LA30129-3': 'Phone', 'LA46-8': 'Other', 'LA30122-8': 'I choose not to answer this question' },
+                risk: ['LA30125-1']
+            },
+            {
+                code: '93030-5', display: 'Has lack of transportation kept you from medical appointments, meetings, work, or from getting things needed for daily living', domain: 'transportation-insecurity',
+                answers: { 'LA30133-5': 'Yes, it has kept me from medical appointments or from getting my medications', 'LA30134-3': 'Yes, it has kept me from non-medical meetings, appointments, work, or from getting things that I need', 'LA32-8': 'No', 'LA30122-8': 'I choose not to answer this question' },
+                risk: ['LA30133-5', 'LA30134-3']
+            }
+        ]
+    }
+};
+
+const instrumentByQuestionnaire = url => Object.entries(INSTRUMENTS).find(([, instrument]) => instrument.questionnaire === String(url || '').split('|')[0]);
+
+// QuestionnaireResponse items, with those nested in groups flattened
+const flattenItems = items => (items || []).flatMap(item => [item, ...flattenItems(item.item)]);
+
+// Items are matched on their linkId, which is the LOINC code or a path ending in it (e.g. /88122-7)
+const itemFor = (items, code) => items.find(item => item.linkId === code || String(item.linkId).endsWith(`/${code}`));
+
+// Build a QuestionnaireResponse from the simple form { instrument, authored, answers: { <LOINC question>: <LOINC answer(s)> } }
+function questionnaireResponseFromAnswers(patientId, { instrument, authored, answers }, author) {
+    const definition = INSTRUMENTS[instrument];
+    return {
+        resourceType: 'QuestionnaireResponse',
+        questionnaire: definition.questionnaire,
+        status: 'completed',
+        subject: { reference: `Patient/${patientId}` },
+        authored: authored || new Date().toISOString(),
+        author,
+        item: Object.entries(answers).map(([code, value]) => {
+            const question = definition.items.find(item => item.code === code);
+            return {
+                linkId: code,
+                text: question ? question.display : undefined,
+                answer: [].concat(value).map(answer => ({
+                    valueCoding: { system: LOINC, code: answer, display: question ? question.answers[answer] : undefined }
+                }))
+            };
+        })
+    };
+}
+
+// Check the screening and return [instrument name, QuestionnaireResponse]. The body is either a completed
+// QuestionnaireResponse of a known instrument or the simple answers form; answers to the questions we
+// derive findings from must be valid LOINC answers of that question.
+function readScreening(patientId, body, author) {
+    const issues = [];
+    let name;
+    let questionnaireResponse;
+    if (body && body.resourceType === 'QuestionnaireResponse') {
+        const match = instrumentByQuestionnaire(body.questionnaire);
+        if (!match) {
+            issues.push({ field: 'questionnaire', code: 'not-supported', message: `questionnaire must be one of ${Object.values(INSTRUMENTS).map(i => i.questionnaire).join(', ')}` });
+        } else if (body.status !== 'completed') {
+            issues.push({ field: 'status', code: 'value', message: 'status must be completed' });
+        }
+        name = match && match[0];
+        questionnaireResponse = { ...body, subject: { reference: `Patient/${patientId}` }, author: body.author || author };
+    } else if (!body || !INSTRUMENTS[body.instrument]) {
+        issues.push({ field: 'instrument', code: 'code-invalid', message: `instrument must be one of: ${Object.keys(INSTRUMENTS).join(', ')}` });
+    } else if (!body.answers || typeof body.answers !== 'object' || Array.isArray(body.answers)) {
+        issues.push({ field: 'answers', code: 'required', message: 'answers must map LOINC question codes to LOINC answer codes' });
+    } else {
+        name = body.instrument;
+        questionnaireResponse = questionnaireResponseFromAnswers(patientId, body, author);
+    }
+
+    if (issues.length === 0) {
+        const items = flattenItems(questionnaireResponse.item);
+        INSTRUMENTS[name].items.forEach(question => {
+            const item = itemFor(items, question.code);
+            const codes = item ? (item.answer || []).map(answer => answer.valueCoding && answer.valueCoding.code) : [];
+            if (codes.some(code => !question.answers[code]) || (codes.length > 1 && !question.multiple)) {
+                issues.push({ field: `answers.${question.code}`, code: 'code-invalid', message: `${question.code} must be ${question.multiple ? 'one or more' : 'one'} of: ${Object.keys(question.answers).join(', ')}` });
+            }
+        });
+    }
+    if (issues.length > 0) {
+        throw new ValidationError(issues);
+    }
+    return [name, questionnaireResponse];
+}
+
+const sdohCategory = domain => ({ coding: [{ system: SDOHCC_CODES, code: domain, display: DOMAINS[domain].display }] });
+
+// SDOHCC screening response Observation for one answered question
+function createScreeningObservation(patientId, question, codes, authored, questionnaireResponseUrl) {
+    return {
+        resourceType: 'Observation',
+        meta: { profile: [SCREENING_RESPONSE_PROFILE] },
+        status: 'final',
+        category: [
+            { coding: [{ system: OBSERVATION_CATEGORY, code: 'social-history', display: 'Social History' }] },
+            { coding: [{ system: OBSERVATION_CATEGORY, code: 'survey', display: 'Survey' }] },
+            { coding: [{ system: US_CORE_CATEGORY, code: 'sdoh', display: 'SDOH' }] },
+            sdohCategory(question.domain)
+        ],
+        code: { coding: [{ system: LOINC, code: question.code, display: question.display }] },
+        subject: { reference: `Patient/${patientId}` },
+        effectiveDateTime: authored,
+        issued: new Date().toISOString(),
+        ...(codes.length === 1
+            ? { valueCodeableConcept: { coding: [{ system: LOINC, code: codes[0], display: question.answers[codes[0]] }] } }
+            : { component: codes.map(code => ({ code: { coding: [{ system: LOINC, code: question.code }] }, valueCodeableConcept: { coding: [{ system: LOINC, code, display: question.answers[code] }] } })) }),
+        derivedFrom: [{ reference: questionnaireResponseUrl }]
+    };
+}
+
+// SDOHCC Condition for a domain at risk, with the risk Observations as evidence. The Condition stays
+// unconfirmed until a clinician reviews it.
+function createSdohCondition(patientId, domain, authored, evidenceUrls, asserter) {
+    return {
+        resourceType: 'Condition',
+        meta: { profile: [CONDITION_PROFILE] },
+        clinicalStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-clinical', code: 'active' }] },
+        verificationStatus: { coding: [{ system: 'http://terminology.hl7.org/CodeSystem/condition-ver-status', code: 'unconfirmed' }] },
+        category: [
+            { coding: [{ system: 'http://hl7.org/fhir/us/core/CodeSystem/condition-category', code: 'health-concern', display: 'Health Concern' }] },
+            { coding: [{ system: US_CORE_CATEGORY, code: 'sdoh', display: 'SDOH' }] },
+            sdohCategory(domain)
+        ],
+        code: { coding: DOMAINS[domain].condition, text: DOMAINS[domain].display },
+        subject: { reference: `Patient/${patientId}` },
+        onsetDateTime: authored,
+        recordedDate: new Date().toISOString(),
+        asserter,
+        evidence: [{ detail: evidenceUrls.map(reference => ({ reference })) }]
+    };
+}
+
+// Store a completed screening with the findings derived from it in one transaction: the QuestionnaireResponse,
+// one Observation per answered screening question and one Condition per SDOH domain showing risk.
+// Returns the created resources and the Condition references to pass as a referral's reasonReference.
+async function recordScreening(fhirServerURL, accessToken, patientId, body, author) {
+    const [name, questionnaireResponse] = readScreening(patientId, body, author);
+    const authored = questionnaireResponse.authored || new Date().toISOString();
+    const items = flattenItems(questionnaireResponse.item);
+    const questionnaireResponseUrl = newFullUrl();
+
+    const observationEntries = [];
+    const riskEvidence = {};
+    INSTRUMENTS[name].items.forEach(question => {
+        const item = itemFor(items, question.code);
+        const codes = item ? (item.answer || []).map(answer => answer.valueCoding.code) : [];
+        if (codes.length === 0) {
+            return;
+        }
+        const entry = { resource: createScreeningObservation(patientId, question, codes, authored, questionnaireResponseUrl), fullUrl: newFullUrl() };
+        observationEntries.push(entry);
+        if (codes.some(code => question.risk.includes(code))) {
+            riskEvidence[question.domain] = [...(riskEvidence[question.domain] || []), entry.fullUrl];
+        }
+    });
+    const conditionEntries = Object.entries(riskEvidence).map(([domain, evidence]) => ({
+        resource: createSdohCondition(patientId, domain, authored, evidence, author)
+    }));
+
+    const bundle = createTransactionBundle([
+        { resource: questionnaireResponse, fullUrl: questionnaireResponseUrl },
+        ...observationEntries,
+        ...conditionEntries
+    ]);
+    const [createdResponse, ...created] = await postTransaction(fhirServerURL, accessToken, bundle);
+    const observations = created.slice(0, observationEntries.length);
+    const conditions = created.slice(observationEntries.length);
+
+    return {
+        instrument: name,
+        questionnaireResponse: createdResponse,
+        observations,
+        conditions,
+        reasonReference: conditions.map(condition => `Condition/${condition.id}`)
+    };
+}
+
+// Make sure every reasonReference of a referral is a Condition or Observation of the referred patient
+async function assertFindingsForPatient(fhirServerURL, accessToken, patientId, references) {
+    for (const resourceType of ['Condition', 'Observation']) {
+        const ids = references.filter(reference => reference.startsWith(`${resourceType}/`)).map(reference => reference.split('/')[1]);
+        if (ids.length === 0) {
+            continue;
+        }
+        const response = await fhirClient.get(`${fhirServerURL}/${resourceType}`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            params: { '_id': ids.join(','), 'subject': `Patient/${patientId}`, '_summary': 'count' }
+        });
+        if (response.data.total !== new Set(ids).size) {
+            throw new ServiceError(`reasonReference must refer to ${resourceType} resources of Patient/${patientId}`, { status: 400, code: 'invalid_reason_reference' });
+        }
+    }
+}
+
+module.exports = {
+    INSTRUMENTS,
+    DOMAINS,
+    recordScreening,
+    assertFindingsForPatient
+};
@@ -0,0 +1,264 @@
+const fhirClient = require('./fhirClient');
+const { ServiceError, ValidationError, WorkflowError, AuthorizationError } = require('./errors');
+const { ROLES } = require('./callerAuth');
+
+// Allowed Task status transitions for SDOHCC referral management
+const TRANSITIONS = {
+    'draft': ['requested', 'cancelled'],
+    'requested': ['received', 'accepted', 'rejected', 'cancelled'],
+    'received': ['accepted', 'rejected', 'cancelled'],
+    'accepted': ['in-progress', 'on-hold', 'cancelled'],
+    'in-progress': ['on-hold', 'completed', 'failed', 'cancelled'],
+    'on-hold': ['in-progress', 'cancelled'],
+    'completed': [],
+    'rejected': [],
+    'cancelled': [],
+    'failed': []
+};
+
+// Statuses that must say why they were entered
+const REASON_REQUIRED = ['rejected', 'cancelled', 'failed'];
+
+// Statuses that end the referral
+const TERMINAL_STATUSES = ['completed', 'rejected', 'cancelled', 'failed'];
+
+// businessStatus text recorded for each status unless the caller gives its own
+const BUSINESS_STATUS_TEXT = {
+    'draft': 'Draft',
+    'requested': 'Requested',
+    'received': 'Received',
+    'accepted': 'Accepted',
+    'in-progress': 'In Progress',
+    'on-hold': 'On Hold',
+    'completed': 'Completed',
+    'rejected': 'Rejected',
+    'cancelled': 'Cancelled',
+    'failed': 'Failed'
+};
+
+// Task elements a JSON Patch may touch; identity, subject and focus of a referral never change, and the
+// owner only changes through the worklist assignment, which checks who may be assigned
+const PATCHABLE_PATHS = ['status', 'statusReason', 'businessStatus', 'note', 'output', 'executionPeriod', 'priority', 'input'];
+
+// Elements a caller who only refers may change: the referrer can withdraw the referral and comment on it,
+// but moving it through the workflow is up to the performing organization
+const REFERRER_PATHS = ['status', 'statusReason', 'note'];
+
+// Output type SDOHCC uses for the activity that fulfilled the referral
+const RESULTING_ACTIVITY = {
+    coding: [{
+        system: 'http://hl7.org/fhir/us/sdoh-clinicalcare/CodeSystem/SDOHCC-CodeSystemTemporaryCodes',
+        code: 'resulting-activity',
+        display: 'Resulting Activity'
+    }]
+};
+
+// Path segments that would reach Object.prototype instead of an element of the Task
+const FORBIDDEN_SEGMENTS = ['__proto__', 'constructor', 'prototype'];
+
+const hasOwn = (node, key) => Object.prototype.hasOwnProperty.call(node, key);
+
+// Apply an RFC 6902 JSON Patch (add, replace, remove, test) to a copy of the Task
+function applyJsonPatch(task, operations) {
+    const result = JSON.parse(JSON.stringify(task));
+    const issues = [];
+
+    operations.forEach((operation, index) => {
+        if (!operation || typeof operation !== 'object' || Array.isArray(operation) || typeof operation.path !== 'string') {
+            issues.push({ field: `[${index}]`, code: 'invalid', message: 'Each operation must be an object with op and path' });
+            return;
+        }
+        const segments = operation.path.split('/').slice(1).map(s => s.replace(/~1/g, '/').replace(/~0/g, '~'));
+        if (segments.some(segment => FORBIDDEN_SEGMENTS.includes(segment))) {
+            issues.push({ field: `[${index}].path`, code: 'invalid', message: `Path '${operation.path}' is not allowed` });
+            return;
+        }
+        if (!PATCHABLE_PATHS.includes(segments[0])) {
+            issues.push({ field: `[${index}].path`, code: 'business-rule', message: `Patching '${operation.path}' is not allowed` });
+            return;
+        }
+        const last = segments.pop();
+        // Only the Task's own members are walked, never inherited ones
+        const parent = segments.reduce((node, key) => (node && typeof node === 'object' && hasOwn(node, key) ? node[key] : undefined), result);
+        if (!parent || typeof parent !== 'object') {
+            issues.push({ field: `[${index}].path`, code: 'not-found', message: `Path '${operation.path}' does not exist` });
+            return;
+        }
+        const key = Array.isArray(parent) && last === '-' && operation.op === 'add' ? String(parent.length) : last;
+        // Array members are named by index (or '-' to append); every operation but add needs an existing member
+        const exists = Array.isArray(parent) ? Number(key) < parent.length : hasOwn(parent, key);
+        if (Array.isArray(parent) && (!/^(0|[1-9]\d*)$/.test(key) || Number(key) > parent.length)) {
+            issues.push({ field: `[${index}].path`, code: 'invalid', message: `'${last}' in '${operation.path}' is not a valid array index` });
+            return;
+        }
+        if (['replace', 'remove', 'test'].includes(operation.op) && !exists) {
+            issues.push({ field: `[${index}].path`, code: 'not-found', message: `Path '${operation.path}' does not exist` });
+            return;
+        }
+
+        switch (operation.op) {
+            case 'add':
+                if (Array.isArray(parent)) {
+                    parent.splice(Number(key), 0, operation.value);
+                } else {
+                    parent[key] = operation.value;
+                }
+                break;
+            case 'replace':
+                parent[key] = operation.value;
+                break;
+            case 'remove':
+                if (Array.isArray(parent)) {
+                    parent.splice(Number(key), 1);
+                } else {
+                    delete parent[key];
+                }
+                break;
+            case 'test':
+                if (JSON.stringify(parent[key]) !== JSON.stringify(operation.value)) {
+                    issues.push({ field: `[${index}]`, code: 'conflict', message: `Test of '${operation.path}' failed` });
+                }
+                break;
+            default:
+                issues.push({ field: `[${index}].op`, code: 'not-supported', message: `Operation '${operation.op}' is not supported` });
+        }
+    });
+
+    if (issues.length > 0) {
+        throw new ValidationError(issues, 'Invalid Task patch');
+    }
+    return result;
+}
+
+// Turn the friendly { reference, display } / { text } outputs into Task.output entries
+function toTaskOutputs(outputs = []) {
+    return outputs.map(output => (output.reference
+        ? { type: RESULTING_ACTIVITY, valueReference: { reference: output.reference, display: output.display } }
+        : { type: { text: 'Outcome' }, valueString: output.text }));
+}
+
+// Check a status change against the workflow and fill in the fields that go with it.
+// previous is the Task as stored, next the Task with the requested changes applied.
+function enforceTransition(previous, next, { outputs } = {}) {
+    const from = previous.status;
+    const to = next.status;
+    const now = new Date().toISOString();
+
+    if (!TRANSITIONS[to]) {
+        throw new ValidationError([{ field: 'status', code: 'code-invalid', message: `Unknown Task status '${to}'` }]);
+    }
+
+    if (from !== to) {
+        const allowed = TRANSITIONS[from] || [];
+        if (!allowed.includes(to)) {
+            throw new WorkflowError(`Task cannot move from '${from}' to '${to}'`, {
+                details: { from, to, allowed }
+            });
+        }
+        if (REASON_REQUIRED.includes(to) && !(next.statusReason && next.statusReason.text)) {
+            throw new ValidationError([{ field: 'statusReason', code: 'required', message: `statusReason is required when a Task is ${to}` }]);
+        }
+
+        // Keep businessStatus in step with the status unless the caller set its own
+        if (JSON.stringify(next.businessStatus) === JSON.stringify(previous.businessStatus)) {
+            next.businessStatus = { text: BUSINESS_STATUS_TEXT[to] };
+        }
+        if (to === 'in-progress' && !(next.executionPeriod && next.executionPeriod.start)) {
+            next.executionPeriod = { ...next.executionPeriod, start: now };
+        }
+        if (TERMINAL_STATUSES.includes(to)) {
+            next.executionPeriod = { ...next.executionPeriod, end: now };
+        }
+        if (to === 'completed') {
+            const recorded = toTaskOutputs(outputs);
+            next.output = [
+                ...(next.output || []),
+                ...(recorded.length > 0 ? recorded : [{ type: { text: 'Outcome' }, valueString: next.businessStatus.text }])
+            ];
+        }
+    } else if (outputs && outputs.length > 0) {
+        next.output = [...(next.output || []), ...toTaskOutputs(outputs)];
+    }
+
+    next.lastModified = now;
+    return next;
+}
+
+// Apply a transition request body ({ status, statusReason, businessStatus, note, output }) to a copy of the Task
+function applyTransitionRequest(task, { status, statusReason, businessStatus, note }) {
+    const next = JSON.parse(JSON.stringify(task));
+    if (status) {
+        next.status = status;
+    }
+    if (statusReason) {
+        next.statusReason = { text: statusReason };
+    }
+    if (businessStatus) {
+        next.businessStatus = { text: businessStatus };
+    }
+    if (note) {
+        next.note = [...(next.note || []), { text: note, time: new Date().toISOString() }];
+    }
+    return next;
+}
+
+// Reject changes a referrer may not make: anything but cancelling the referral, a status reason and notes
+function assertReferrerUpdate(caller, previous, next, outputs) {
+    if (!caller || caller.roles.some(role => role === ROLES.CBO_STAFF || role === ROLES.ADMIN)) {
+        return;
+    }
+    if (outputs && outputs.length > 0) {
+        throw new AuthorizationError('Only the performing organization may record Task outputs');
+    }
+    const changed = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+        .filter(key => key !== 'meta' && JSON.stringify(previous[key]) !== JSON.stringify(next[key]));
+    const forbidden = changed.filter(key => !REFERRER_PATHS.includes(key));
+    if (forbidden.length > 0) {
+        throw new AuthorizationError(`A referrer may not change ${forbidden.join(', ')} of a Task`);
+    }
+    if (changed.includes('status') && next.status !== 'cancelled') {
+        throw new AuthorizationError('A referrer may only change the status of a Task to cancelled');
+    }
+}
+
+// Update a Task through the workflow. The body is either a JSON Patch array or a transition
+// object; the result is written with If-Match on the version we read, so concurrent edits fail
+// with 412 instead of overwriting each other. When a caller is given, a referrer may only cancel the
+// referral or add a reason and notes. Returns the updated Task.
+async function updateTask(fhirServerURL, accessToken, taskId, body, { caller } = {}) {
+    const taskUrl = `${fhirServerURL}/Task/${encodeURIComponent(taskId)}`;
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+
+    const current = (await fhirClient.get(taskUrl, { headers })).data;
+    let next;
+    let outputs;
+    if (Array.isArray(body)) {
+        next = applyJsonPatch(current, body);
+    } else if (body && typeof body === 'object') {
+        next = applyTransitionRequest(current, body);
+        outputs = body.output;
+    } else {
+        throw new ServiceError('Request body must be a JSON Patch array or a transition object', { status: 400, code: 'invalid_task_update' });
+    }
+
+    assertReferrerUpdate(caller, current, next, outputs);
+    enforceTransition(current, next, { outputs });
+
+    const response = await fhirClient.put(taskUrl, next, {
+        headers: {
+            ...headers,
+            'Content-Type': 'application/fhir+json',
+            'If-Match': `W/"${current.meta.versionId}"`
+        }
+    });
+    return response.data;
+}
+
+module.exports = {
+    TRANSITIONS,
+    TERMINAL_STATUSES,
+    applyJsonPatch,
+    enforceTransition,
+    assertReferrerUpdate,
+    updateTask
+};
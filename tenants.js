@@ -0,0 +1,188 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createTokenManager, configFromEnv } = require('./getAzureADToken');
+const { ServiceError, AuthorizationError } = require('./errors');
+const metrics = require('./metrics');
+
+// The health systems this service serves. Each tenant has its own FHIR server (Azure Health Data Services
+// workspace), Azure AD credentials and token cache, browser origins and enabled resource routes.
+// TENANTS_FILE lists them; without it the service has a single tenant, "default", configured from the
+// FHIR_SERVER_URL, Azure AD and CORS_ORIGINS environment variables.
+const TENANTS_FILE = process.env.TENANTS_FILE;
+// Header naming the tenant of a request; requests can also name it with the first label of the host name
+const TENANT_HEADER = process.env.TENANT_HEADER || 'X-Tenant-ID';
+
+// Resources served by the generic resource routes; a tenant may enable a subset
+const RESOURCES = ['Task', 'Patient', 'ServiceRequest', 'PractitionerRole', 'Organization', 'Practitioner'];
+
+const TENANT_ID = /^[a-z0-9][a-z0-9-]{0,62}$/;
+
+// Config values of the form "env:NAME" are read from that environment variable, so secrets can stay out of the file
+const resolveValue = value => (typeof value === 'string' && value.startsWith('env:') ? process.env[value.slice(4)] : value);
+
+const splitOrigins = value => (value ? value.split(',').map(origin => origin.trim()).filter(Boolean) : []);
+
+// A browser origin such as https://app.example; "*" is not accepted, every origin must be listed
+const ORIGIN = /^https?:\/\/[^\s/*]+$/;
+
+const withoutTrailingSlash = url => String(url).replace(/\/+$/, '');
+
+// Build a tenant from its configuration, with a token manager of its own
+function createTenant({ id, subdomain, fhirServerUrl, auth = {}, corsOrigins, resources, subscriptionToken }) {
+    if (!TENANT_ID.test(String(id))) {
+        throw new Error(`Tenant id '${id}' must be lowercase letters, digits and dashes`);
+    }
+    // An "env:NAME" whose variable is unset counts as missing
+    const serverUrl = resolveValue(fhirServerUrl);
+    if (!serverUrl && TENANTS_FILE) {
+        throw new Error(`Tenant '${id}' has no fhirServerUrl`);
+    }
+    // The default tenant takes CORS_ORIGINS, where unset means no browser origin; file tenants list theirs, [] for none
+    if (corsOrigins === undefined && TENANTS_FILE) {
+        throw new Error(`Tenant '${id}' has no corsOrigins`);
+    }
+    const origins = corsOrigins || [];
+    if (!Array.isArray(origins) || origins.some(origin => typeof origin !== 'string' || !ORIGIN.test(origin))) {
+        throw new Error(`Tenant '${id}' corsOrigins must be a list of origins such as https://app.example`);
+    }
+    const unknown = (resources || []).filter(resource => !RESOURCES.includes(resource));
+    if (unknown.length > 0) {
+        throw new Error(`Tenant '${id}' enables unknown resources: ${unknown.join(', ')}`);
+    }
+    // auth holds Azure AD variables such as CLIENT_ID; those left out are taken from the environment
+    const resolvedAuth = Object.fromEntries(Object.entries(auth).map(([key, value]) => [key, resolveValue(value)]));
+    const tokenManager = createTokenManager(configFromEnv({ ...process.env, ...resolvedAuth }));
+    // Without FHIR_SERVER_URL the default tenant cannot serve anything, but the service still starts so that
+    // readiness can say why; the tenant's requests and checks fail with this error
+    const configurationError = serverUrl ? null : new ServiceError('FHIR_SERVER_URL is not set', { status: 503, code: 'tenant_not_configured' });
+    return {
+        id,
+        subdomain: subdomain || id,
+        fhirServerURL: serverUrl ? withoutTrailingSlash(serverUrl) : null,
+        corsOrigins: origins,
+        resources: resources || RESOURCES,
+        // Shared secret of this tenant's FHIR Subscription callbacks, see notifications.js
+        subscriptionToken: resolveValue(subscriptionToken),
+        tokenManager,
+        configurationError,
+        getToken: () => (configurationError ? Promise.reject(configurationError) : tokenManager.getToken())
+    };
+}
+
+function loadTenants() {
+    if (!TENANTS_FILE) {
+        return [createTenant({
+            id: 'default',
+            fhirServerUrl: process.env.FHIR_SERVER_URL,
+            corsOrigins: splitOrigins(process.env.CORS_ORIGINS),
+            subscriptionToken: process.env.NOTIFICATIONS_SUBSCRIPTION_TOKEN
+        })];
+    }
+    const configured = JSON.parse(fs.readFileSync(TENANTS_FILE, 'utf8')).map(createTenant);
+    if (configured.length === 0) {
+        throw new Error(`${TENANTS_FILE} does not list any tenant`);
+    }
+    // Tenants are told apart by id, subdomain and FHIR server; sharing any of them would mix their data
+    ['id', 'subdomain', 'fhirServerURL'].forEach(key => {
+        const values = configured.map(tenant => tenant[key]);
+        const repeated = values.find((value, index) => values.indexOf(value) !== index);
+        if (repeated) {
+            throw new Error(`Tenants in ${TENANTS_FILE} share the ${key} '${repeated}'`);
+        }
+    });
+    return configured;
+}
+
+const tenants = loadTenants();
+
+// Whether tenants come from TENANTS_FILE. Callers are then bound to a tenant by their token, see callerAuth.js.
+const multiTenant = Boolean(TENANTS_FILE);
+
+metrics.collected('azure_ad_token_refreshes_total', 'Access tokens obtained from Azure AD, by tenant', 'counter',
+    () => tenants.map(tenant => ({ labels: { tenant: tenant.id }, value: tenant.tokenManager.stats().refreshCount })));
+metrics.collected('azure_ad_token_failures_total', 'Failed attempts to obtain an access token, by tenant', 'counter',
+    () => tenants.map(tenant => ({ labels: { tenant: tenant.id }, value: tenant.tokenManager.stats().failureCount })));
+
+const list = () => tenants;
+
+const byId = id => tenants.find(tenant => tenant.id === id) || null;
+
+// The tenant whose FHIR server a URL points to, for code that only has the URL (token refresh, background indexes)
+const forUrl = url => tenants.find(tenant => url === tenant.fhirServerURL || String(url).startsWith(`${tenant.fhirServerURL}/`)) || null;
+
+// A file of per-tenant data: the file itself for the default tenant, otherwise with the tenant id before its extension
+function fileFor(file, tenant) {
+    if (!file || !multiTenant) {
+        return file;
+    }
+    const { dir, name, ext } = path.parse(file);
+    return path.join(dir, `${name}.${tenant.id}${ext}`);
+}
+
+// The tenant a request names with the tenant header or the subdomain of its host, or null when it names none.
+// With a single tenant that is the one. A header naming an unknown tenant, or disagreeing with the subdomain, is an error.
+function identify(req) {
+    const header = req.get(TENANT_HEADER);
+    const label = String(req.hostname || '').split('.')[0];
+    const fromHost = tenants.find(tenant => tenant.subdomain === label) || null;
+    if (header !== undefined) {
+        const named = byId(header);
+        if (!named) {
+            throw new ServiceError(`Unknown tenant '${header}'`, { status: 400, code: 'unknown_tenant' });
+        }
+        if (fromHost && fromHost !== named) {
+            throw new ServiceError(`${TENANT_HEADER} '${header}' does not match the host ${req.hostname}`, { status: 400, code: 'tenant_mismatch' });
+        }
+        return named;
+    }
+    return fromHost || (tenants.length === 1 ? tenants[0] : null);
+}
+
+// Express middleware attaching the request's tenant to req.tenant. Routes that need one check it with requireTenant.
+function selectTenant(req, res, next) {
+    try {
+        req.tenant = identify(req);
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// Make sure the request names a tenant and, with TENANTS_FILE, that the caller belongs to it
+function requireTenant(req) {
+    if (!req.tenant) {
+        throw new ServiceError(`The tenant must be given with the ${TENANT_HEADER} header or the host name`, { status: 400, code: 'tenant_required' });
+    }
+    if (multiTenant && req.caller && req.caller.tenantId !== req.tenant.id) {
+        throw new AuthorizationError(`Caller does not belong to tenant '${req.tenant.id}'`);
+    }
+    return req.tenant;
+}
+
+// CORS origins a request may come from: its tenant's, or those of every tenant when the request names none
+// (browsers do not send custom headers such as the tenant header on preflight requests)
+function corsOriginsFor(req) {
+    let tenant;
+    try {
+        tenant = identify(req);
+    } catch (error) {
+        tenant = null;
+    }
+    const allowed = tenant ? [tenant] : tenants;
+    return [...new Set(allowed.flatMap(t => t.corsOrigins))];
+}
+
+module.exports = {
+    TENANT_HEADER,
+    RESOURCES,
+    multiTenant,
+    list,
+    byId,
+    forUrl,
+    fileFor,
+    selectTenant,
+    requireTenant,
+    corsOriginsFor
+};
@@ -0,0 +1,224 @@
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { ServiceError, ValidationError } = require('./errors');
+
+// Directory holding the CodeSystem-*.json and ValueSet-*.json resources served by this module
+const TERMINOLOGY_DIR = process.env.TERMINOLOGY_DIR || path.join(__dirname, 'terminology');
+
+// CodeSystem url -> { resource, concepts: Map(code -> { code, display, designation, parent }) }
+const codeSystems = new Map();
+// ValueSet id and url -> ValueSet resource
+const valueSets = new Map();
+// ValueSet url -> expanded concepts, computed on first use
+const expansions = new Map();
+
+// Flatten a CodeSystem concept hierarchy, remembering each concept's parent code
+function flattenConcepts(concepts = [], parent = null, result = new Map()) {
+    concepts.forEach(concept => {
+        result.set(concept.code, {
+            code: concept.code,
+            display: concept.display,
+            designation: concept.designation || [],
+            parent
+        });
+        flattenConcepts(concept.concept, concept.code, result);
+    });
+    return result;
+}
+
+// Load every CodeSystem and ValueSet file of the terminology directory
+function load(directory = TERMINOLOGY_DIR) {
+    fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .forEach(file => {
+            const resource = JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+            if (resource.resourceType === 'CodeSystem') {
+                const existing = codeSystems.get(resource.url);
+                const concepts = flattenConcepts(resource.concept);
+                // Several fragments of the same code system (e.g. SNOMED CT) are merged
+                codeSystems.set(resource.url, {
+                    resource,
+                    concepts: existing ? new Map([...existing.concepts, ...concepts]) : concepts
+                });
+            } else if (resource.resourceType === 'ValueSet') {
+                valueSets.set(resource.id, resource);
+                valueSets.set(resource.url, resource);
+            }
+        });
+    expansions.clear();
+}
+
+// Is code the same as, or below, ancestor in the code system hierarchy
+function isDescendantOf(concepts, code, ancestor, includeSelf) {
+    let current = includeSelf ? code : (concepts.get(code) || {}).parent;
+    while (current) {
+        if (current === ancestor) {
+            return true;
+        }
+        current = (concepts.get(current) || {}).parent;
+    }
+    return false;
+}
+
+// Concepts selected by one compose.include element
+function includedConcepts(include) {
+    const codeSystem = codeSystems.get(include.system);
+    if (!codeSystem) {
+        throw new ServiceError(`CodeSystem '${include.system}' is not loaded`, { status: 500, code: 'terminology_error' });
+    }
+    let concepts = [...codeSystem.concepts.values()];
+    if (include.concept) {
+        concepts = include.concept.filter(({ code }) => codeSystem.concepts.has(code)).map(({ code, display }) => {
+            const concept = codeSystem.concepts.get(code);
+            return { ...concept, display: display || (concept && concept.display) };
+        });
+    }
+    (include.filter || []).forEach(filter => {
+        if (filter.property !== 'concept' || !['is-a', 'descendent-of'].includes(filter.op)) {
+            throw new ServiceError(`ValueSet filter '${filter.property} ${filter.op}' is not supported`, { status: 500, code: 'terminology_error' });
+        }
+        concepts = concepts.filter(concept => isDescendantOf(codeSystem.concepts, concept.code, filter.value, filter.op === 'is-a'));
+    });
+    return concepts.map(concept => ({ system: include.system, ...concept }));
+}
+
+// Find a ValueSet by id or canonical url
+function getValueSet(idOrUrl) {
+    const valueSet = valueSets.get(idOrUrl);
+    if (!valueSet) {
+        throw new ServiceError(`ValueSet '${idOrUrl}' not found`, { status: 404, code: 'not_found' });
+    }
+    return valueSet;
+}
+
+// All concepts of a ValueSet
+function valueSetConcepts(idOrUrl) {
+    const valueSet = getValueSet(idOrUrl);
+    if (!expansions.has(valueSet.url)) {
+        expansions.set(valueSet.url, valueSet.compose.include.flatMap(includedConcepts));
+    }
+    return expansions.get(valueSet.url);
+}
+
+const designationValues = concept => concept.designation.map(designation => designation.value);
+
+// Paging parameters of $expand must be non-negative integers
+function parseExpansionPaging({ offset, count }) {
+    const issues = [];
+    const parse = (field, value) => {
+        if (typeof value === 'object' || !/^\d+$/.test(String(value))) {
+            issues.push({ field, code: 'invalid', message: `${field} must be a non-negative integer` });
+        }
+        return Number(value);
+    };
+    const start = offset === undefined ? 0 : parse('offset', offset);
+    const size = count === undefined ? undefined : parse('count', count);
+    if (issues.length > 0) {
+        throw new ValidationError(issues, 'Invalid $expand parameters');
+    }
+    return { start, size };
+}
+
+// ValueSet/$expand: the ValueSet with its expansion, optionally filtered on display text and paged
+function expand(idOrUrl, { filter, offset, count } = {}) {
+    const { start, size } = parseExpansionPaging({ offset, count });
+    const valueSet = getValueSet(idOrUrl);
+    const needle = filter ? String(filter).toLowerCase() : null;
+    const matching = valueSetConcepts(idOrUrl).filter(concept => !needle
+        || [concept.display, concept.code, ...designationValues(concept)].some(text => String(text).toLowerCase().includes(needle)));
+    const page = size !== undefined ? matching.slice(start, start + size) : matching.slice(start);
+
+    return {
+        resourceType: 'ValueSet',
+        id: valueSet.id,
+        url: valueSet.url,
+        name: valueSet.name,
+        title: valueSet.title,
+        status: valueSet.status,
+        expansion: {
+            timestamp: new Date().toISOString(),
+            total: matching.length,
+            offset: start,
+            contains: page.map(({ system, code, display }) => ({ system, code, display }))
+        }
+    };
+}
+
+// CodeSystem/$lookup: details of a code as a FHIR Parameters resource
+function lookup(system, code) {
+    const codeSystem = codeSystems.get(system);
+    const concept = codeSystem && codeSystem.concepts.get(code);
+    if (!concept) {
+        throw new ServiceError(`Code '${code}' not found in '${system}'`, { status: 404, code: 'not_found' });
+    }
+    const parameter = [
+        { name: 'name', valueString: codeSystem.resource.title || codeSystem.resource.name },
+        { name: 'display', valueString: concept.display }
+    ];
+    if (concept.parent) {
+        parameter.push({ name: 'property', part: [{ name: 'code', valueCode: 'parent' }, { name: 'value', valueCode: concept.parent }] });
+    }
+    concept.designation.forEach(designation => {
+        parameter.push({ name: 'designation', part: [{ name: 'value', valueString: designation.value }] });
+    });
+    return { resourceType: 'Parameters', parameter };
+}
+
+// Find the concept of a ValueSet matching a code, display or designation (case-insensitive)
+function findConcept(idOrUrl, value) {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    const needle = String(value).toLowerCase();
+    return valueSetConcepts(idOrUrl).find(concept => concept.code.toLowerCase() === needle
+        || String(concept.display).toLowerCase() === needle
+        || designationValues(concept).some(text => String(text).toLowerCase() === needle)) || null;
+}
+
+// Coding for a friendly value (code, display or synonym) of a ValueSet, or null when unknown
+function codingFor(idOrUrl, value) {
+    const concept = findConcept(idOrUrl, value);
+    return concept ? { system: concept.system, code: concept.code, display: concept.display } : null;
+}
+
+// Display text for a code, looked up in the loaded code systems
+function displayFor(system, code) {
+    const codeSystem = codeSystems.get(system);
+    const concept = codeSystem && codeSystem.concepts.get(code);
+    return concept ? concept.display : null;
+}
+
+// The first ancestor-or-self of a code that belongs to the given ValueSet, e.g. the OMB race category of a detailed race
+function ancestorInValueSet(idOrUrl, system, code) {
+    const members = valueSetConcepts(idOrUrl);
+    const codeSystem = codeSystems.get(system);
+    let current = code;
+    while (current) {
+        const member = members.find(concept => concept.system === system && concept.code === current);
+        if (member) {
+            return { system, code: member.code, display: member.display };
+        }
+        current = codeSystem ? (codeSystem.concepts.get(current) || {}).parent : null;
+    }
+    return null;
+}
+
+// List the loaded ValueSets
+function listValueSets() {
+    return [...new Set(valueSets.values())].map(({ id, url, title }) => ({ id, url, title }));
+}
+
+load();
+
+module.exports = {
+    load,
+    expand,
+    lookup,
+    findConcept,
+    codingFor,
+    displayFor,
+    ancestorInValueSet,
+    listValueSets
+};
@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { createTokenVerifier } = require('../callerAuth');
+const { ServiceError, AuthenticationError } = require('../errors');
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1', use: 'sig' }] };
+
+// A JWKS endpoint on a local port, for the verifier to load its signing key from
+let server;
+let jwksUri;
+test.before(async () => {
+    server = http.createServer((req, res) => res.setHeader('Content-Type', 'application/json').end(JSON.stringify(jwks)));
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    jwksUri = `http://127.0.0.1:${server.address().port}/jwks`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+const now = () => Math.floor(Date.now() / 1000);
+
+function sign(claims, { kid = 'k1' } = {}) {
+    const signed = `${encode({ alg: 'RS256', kid })}.${encode({ iss: 'https://issuer.example', aud: 'api://acleap', exp: now() + 600, ...claims })}`;
+    return `${signed}.${crypto.sign('sha256', Buffer.from(signed), privateKey).toString('base64url')}`;
+}
+
+const verifier = (config = {}) => createTokenVerifier({
+    jwksUri,
+    issuer: 'https://issuer.example',
+    audience: 'api://acleap',
+    clockToleranceSeconds: 60,
+    rolesClaim: 'roles',
+    practitionerClaim: 'fhirUser',
+    organizationClaim: 'organization',
+    tenantClaim: 'tenant',
+    ...config
+});
+
+const rejectsWith = (promise, message) => assert.rejects(promise, error => error instanceof AuthenticationError && error.message === message);
+
+test('a token signed by the JWKS for this issuer and audience is accepted', async () => {
+    const claims = await verifier().verify(sign({ sub: 'user1', aud: ['other', 'api://acleap'] }));
+    assert.equal(claims.sub, 'user1');
+});
+
+test('checkClaims rejects expired, not yet valid, foreign issuer and foreign audience tokens', async () => {
+    const tokens = verifier();
+    await rejectsWith(tokens.verify(sign({ exp: now() - 120 })), 'Token has expired');
+    await rejectsWith(tokens.verify(sign({ exp: undefined })), 'Token has expired');
+    await rejectsWith(tokens.verify(sign({ nbf: now() + 120 })), 'Token is not valid yet');
+    await rejectsWith(tokens.verify(sign({ iss: 'https://other.example' })), 'Token issuer is not trusted');
+    await rejectsWith(tokens.verify(sign({ aud: 'api://other' })), 'Token is not intended for this service');
+});
+
+test('checkClaims tolerates the configured clock skew', async () => {
+    await assert.doesNotReject(verifier().verify(sign({ exp: now() - 30, nbf: now() + 30 })));
+});
+
+test('every token is refused while the issuer or audience is not configured', async () => {
+    for (const config of [{ issuer: undefined }, { audience: '' }]) {
+        await assert.rejects(verifier(config).verify(sign({})), error => error instanceof ServiceError && error.code === 'auth_configuration_error');
+    }
+});
+
+test('tokens with a bad signature, unknown key or unaccepted algorithm are rejected', async () => {
+    const tokens = verifier();
+    const token = sign({ sub: 'user1' });
+    const [header, , signature] = token.split('.');
+    await rejectsWith(tokens.verify(`${header}.${encode({ sub: 'admin', exp: now() + 600 })}.${signature}`), 'Token signature is invalid');
+    await rejectsWith(tokens.verify(sign({}, { kid: 'k2' })), 'Token is signed with an unknown key');
+    await rejectsWith(tokens.verify(`${encode({ alg: 'none' })}.${encode({})}.`), "Token algorithm 'none' is not accepted");
+    await rejectsWith(tokens.verify('not-a-token'), 'Malformed bearer token');
+});
+
+test('callerFromClaims keeps known roles and the ids of reference claims', () => {
+    const caller = verifier().callerFromClaims({
+        sub: 'user1',
+        roles: ['Referrer', 'superuser'],
+        fhirUser: 'Practitioner/p1',
+        organization: 'Patient/1',
+        tenant: 'north'
+    });
+    assert.deepEqual(caller, { subject: 'user1', name: undefined, roles: ['referrer'], practitionerId: 'p1', organizationId: null, tenantId: 'north' });
+});
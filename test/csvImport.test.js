@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, readRows, parseImportRequest } = require('../csvImport');
+const { ServiceError } = require('../errors');
+
+test('parseCsv reads quoted fields with commas, line breaks and doubled quotes', () => {
+    assert.deepEqual(parseCsv('a,b,c\r\n1,"two, ""2""\nlines",3\n'), [
+        ['a', 'b', 'c'],
+        ['1', 'two, "2"\nlines', '3']
+    ]);
+});
+
+test('parseCsv drops a byte order mark and blank lines and keeps a last line without a newline', () => {
+    assert.deepEqual(parseCsv('\uFEFFa,b\n\n , \n1,\n2,x'), [['a', 'b'], ['1', ''], ['2', 'x']]);
+});
+
+test('parseCsv rejects an unterminated quoted field', () => {
+    assert.throws(() => parseCsv('a\n"open'), error => error instanceof ServiceError && error.code === 'invalid_csv');
+});
+
+test('readRows maps columns to import fields and numbers rows as in a spreadsheet', () => {
+    const rows = readRows('First Name,lastName,confirmNotDuplicate,ignored\n Ann ,Lee,yes,x\nBob,,,\n', { firstName: 'First Name' });
+    assert.deepEqual(rows, [
+        { row: 2, values: { firstName: 'Ann', lastName: 'Lee', confirmNotDuplicate: true } },
+        { row: 3, values: { firstName: 'Bob' } }
+    ]);
+});
+
+test('readRows rejects unknown fields and missing columns in the mapping', () => {
+    assert.throws(() => readRows('a\n1', { nickname: 'a' }), error => error.code === 'invalid_mapping');
+    assert.throws(() => readRows('a\n1', { firstName: 'First Name' }), error => error.code === 'invalid_mapping');
+    assert.throws(() => readRows('  '), error => error.code === 'invalid_csv');
+});
+
+test('parseImportRequest checks the mode and the mapping', () => {
+    assert.deepEqual(parseImportRequest({ mode: 'dry-run', mapping: '{"firstName":"First"}' }), { mode: 'dry-run', mapping: { firstName: 'First' } });
+    assert.throws(() => parseImportRequest({ mode: 'now' }), error => error.code === 'invalid_mode');
+    ['[]', '{"firstName":1}', 'not json'].forEach(mapping => {
+        assert.throws(() => parseImportRequest({ mode: 'commit', mapping }), error => error.code === 'invalid_mapping');
+    });
+});
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encodeCursor, decodeCursor, parsePageSize } = require('../fhirPaging');
+const { ServiceError } = require('../errors');
+
+const BASE = 'https://fhir.example/fhir';
+const NEXT = `${BASE}/Task?status=requested&_count=50&ct=abc`;
+
+const rejects = fn => assert.throws(fn, error => error instanceof ServiceError && error.code === 'invalid_cursor');
+
+test('a cursor decodes back to the next link on the FHIR server', () => {
+    const cursor = encodeCursor(BASE, NEXT, 'default:user1');
+    assert.ok(!cursor.includes('fhir.example'));
+    assert.equal(decodeCursor(BASE, 'Task', cursor, 'default:user1'), NEXT);
+    assert.equal(decodeCursor(`${BASE}/`, 'Task', cursor, 'default:user1'), NEXT);
+});
+
+test('a cursor is only valid for the scope it was signed for', () => {
+    const cursor = encodeCursor(BASE, NEXT, 'default:user1');
+    rejects(() => decodeCursor(BASE, 'Task', cursor, 'default:user2'));
+    rejects(() => decodeCursor(BASE, 'Task', cursor));
+});
+
+test('a tampered or unsigned cursor is rejected', () => {
+    const [, signature] = encodeCursor(BASE, NEXT).split('.');
+    const widened = Buffer.from('/Task?_count=50').toString('base64url');
+    rejects(() => decodeCursor(BASE, 'Task', `${widened}.${signature}`));
+    rejects(() => decodeCursor(BASE, 'Task', widened));
+    rejects(() => decodeCursor(BASE, 'Task', 'garbage'));
+});
+
+test('a cursor only follows searches of its resource type on the same server', () => {
+    rejects(() => decodeCursor(BASE, 'Patient', encodeCursor(BASE, NEXT)));
+    rejects(() => decodeCursor(BASE, 'Task', encodeCursor(BASE, `${BASE}/TaskX?x=1`)));
+    rejects(() => decodeCursor(BASE, 'Task', encodeCursor(BASE, 'https://elsewhere.example/fhir/Task?x=1')));
+});
+
+test('parsePageSize accepts integers between 1 and the maximum', () => {
+    assert.equal(parsePageSize(undefined), 50);
+    assert.equal(parsePageSize('20'), 20);
+    ['0', '1001', '2.5', 'ten'].forEach(value => {
+        assert.throws(() => parsePageSize(value), error => error.code === 'invalid_page_size');
+    });
+});
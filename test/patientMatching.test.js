@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizePhone, normalizeCriteria, scorePatient, candidateSearches, isMatchSummary } = require('../patientMatching');
+
+const patient = {
+    resourceType: 'Patient',
+    id: '1',
+    name: [{ family: 'García', given: ['Robert'] }],
+    birthDate: '1980-03-04',
+    telecom: [{ system: 'phone', value: '(617) 555-0100' }, { system: 'email', value: 'Bob@Example.org' }],
+    address: [{ postalCode: '02139-1234' }],
+    identifier: [{ value: 'MRN-7' }]
+};
+
+test('normalizePhone keeps the last 10 digits', () => {
+    assert.equal(normalizePhone('(617) 555-0100'), '6175550100');
+    assert.equal(normalizePhone('+1 617.555.0100'), '6175550100');
+    assert.equal(normalizePhone(undefined), '');
+});
+
+test('normalizeCriteria lowercases names without accents and trims zip and email', () => {
+    assert.deepEqual(normalizeCriteria({ firstName: 'José', lastName: "O'Neil", dob: '1980-03-04T00:00:00Z', phone: '617-555-0100', email: ' A@B.org ', zip: '02139-1234' }), {
+        given: 'jose',
+        family: 'oneil',
+        birthDate: '1980-03-04',
+        phone: '6175550100',
+        email: 'a@b.org',
+        zip: '02139',
+        identifier: ''
+    });
+});
+
+test('scorePatient gives 1 to an exact match and to a matching identifier', () => {
+    assert.equal(scorePatient(normalizeCriteria({ firstName: 'Robert', lastName: 'Garcia', dob: '1980-03-04', phone: '6175550100', email: 'bob@example.org', zip: '02139' }), patient), 1);
+    assert.equal(scorePatient(normalizeCriteria({ lastName: 'Smith', identifier: 'MRN-7' }), patient), 1);
+});
+
+test('scorePatient tolerates nicknames, typos and day/month transposed birth dates', () => {
+    const nickname = scorePatient(normalizeCriteria({ firstName: 'Bob', lastName: 'Garcia', dob: '1980-03-04' }), patient);
+    const typo = scorePatient(normalizeCriteria({ firstName: 'Robert', lastName: 'Garsia', dob: '1980-03-04' }), patient);
+    const transposed = scorePatient(normalizeCriteria({ firstName: 'Robert', lastName: 'Garcia', dob: '1980-04-03' }), patient);
+    [nickname, typo, transposed].forEach(score => {
+        assert.ok(score >= 0.8 && score < 1, `${score} should be a probable match`);
+    });
+});
+
+test('scorePatient only counts the criteria given', () => {
+    assert.equal(scorePatient(normalizeCriteria({ lastName: 'Garcia' }), patient), 1);
+    assert.equal(scorePatient(normalizeCriteria({ lastName: 'Jones' }), patient), 0);
+    assert.equal(scorePatient(normalizeCriteria({}), patient), 0);
+});
+
+test('candidateSearches searches selective criteria alone and names with an anchor', () => {
+    assert.deepEqual(candidateSearches(normalizeCriteria({ lastName: 'Garcia', firstName: 'Robert', dob: '1980-03-04', phone: '617 555 0100' })), [
+        { phone: '6175550100' },
+        { family: 'gar', birthdate: '1980-03-04' },
+        { family: 'gar', birthdate: '1980-04-03' },
+        { given: 'rob', birthdate: '1980-03-04' },
+        { given: 'rob', birthdate: '1980-04-03' }
+    ]);
+});
+
+test('candidateSearches without an anchor combines the names or searches a single name in full', () => {
+    assert.deepEqual(candidateSearches(normalizeCriteria({ lastName: 'Garcia', firstName: 'Robert' })), [{ family: 'gar', given: 'rob' }]);
+    assert.deepEqual(candidateSearches(normalizeCriteria({ lastName: 'Garcia' })), [{ family: 'garcia' }]);
+    assert.deepEqual(candidateSearches(normalizeCriteria({ zip: '02139', dob: '1980-12-12' })), [{ birthdate: '1980-12-12' }, { 'address-postalcode': '02139' }]);
+});
+
+test('isMatchSummary recognises the summaries of inaccessible patients', () => {
+    const summary = { resource: { resourceType: 'Patient', id: '1', meta: { tag: [{ system: 'http://terminology.hl7.org/CodeSystem/v3-ObservationValue', code: 'SUBSETTED' }] } } };
+    assert.equal(isMatchSummary(summary), true);
+    assert.equal(isMatchSummary({ resource: patient }), false);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeMetrics, toCsv } = require('../referralAnalytics');
+
+const referral = (fields = {}) => ({ authoredOn: '2024-03-01T08:00:00Z', ...fields });
+
+test('computeMetrics counts the outcomes and the median hours to accept and complete', () => {
+    const metrics = computeMetrics([
+        referral({ acceptedAt: '2024-03-01T10:00:00Z', completedAt: '2024-03-02T08:00:00Z' }),
+        referral({ acceptedAt: '2024-03-01T12:00:00Z' }),
+        referral({ rejectedAt: '2024-03-01T09:00:00Z', rejectionReason: 'Out of area' }),
+        referral()
+    ]);
+    assert.deepEqual(metrics, {
+        created: 4,
+        accepted: 2,
+        rejected: 1,
+        completed: 1,
+        acceptanceRate: 0.667,
+        medianHoursToAccept: 3,
+        medianHoursToComplete: 24,
+        rejectionReasons: { 'Out of area': 1 }
+    });
+});
+
+test('rejection reasons named like Object.prototype members are counted like any other', () => {
+    const rejectedFor = rejectionReason => referral({ rejectedAt: '2024-03-01T09:00:00Z', rejectionReason });
+    const { rejectionReasons } = computeMetrics(['__proto__', '__proto__', 'constructor', 'toString'].map(rejectedFor));
+    assert.equal(Object.getPrototypeOf(rejectionReasons), Object.prototype);
+    assert.deepEqual(Object.entries(rejectionReasons), [['__proto__', 2], ['constructor', 1], ['toString', 1]]);
+    assert.equal(JSON.parse(JSON.stringify(rejectionReasons)).constructor, 1);
+    const metrics = computeMetrics([rejectedFor('__proto__')]);
+    const csv = toCsv({ overall: metrics, groups: { organization: [{ key: 'o1', label: 'Food Bank', ...metrics }] } });
+    assert.match(csv, /__proto__: 1/);
+});
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { applyJsonPatch, enforceTransition, assertReferrerUpdate } = require('../taskWorkflow');
+const { ValidationError, WorkflowError, AuthorizationError } = require('../errors');
+
+const task = () => ({
+    resourceType: 'Task',
+    id: 't1',
+    meta: { versionId: '3' },
+    status: 'requested',
+    for: { reference: 'Patient/1' },
+    note: [{ text: 'first' }]
+});
+
+// The issues of the ValidationError fn throws
+function issuesOf(fn) {
+    try {
+        fn();
+    } catch (error) {
+        assert.ok(error instanceof ValidationError, `expected a ValidationError, got ${error}`);
+        return error.issues;
+    }
+    assert.fail('expected a ValidationError');
+}
+
+test('applyJsonPatch applies add, replace, remove and test to a copy', () => {
+    const original = task();
+    const patched = applyJsonPatch(original, [
+        { op: 'test', path: '/status', value: 'requested' },
+        { op: 'replace', path: '/status', value: 'received' },
+        { op: 'add', path: '/note/-', value: { text: 'second' } },
+        { op: 'add', path: '/note/0', value: { text: 'zeroth' } },
+        { op: 'add', path: '/priority', value: 'urgent' },
+        { op: 'remove', path: '/note/1' }
+    ]);
+    assert.equal(patched.status, 'received');
+    assert.equal(patched.priority, 'urgent');
+    assert.deepEqual(patched.note, [{ text: 'zeroth' }, { text: 'second' }]);
+    assert.deepEqual(original, task());
+});
+
+test('applyJsonPatch rejects paths outside the patchable elements', () => {
+    const issues = issuesOf(() => applyJsonPatch(task(), [{ op: 'replace', path: '/for', value: { reference: 'Patient/2' } }]));
+    assert.deepEqual(issues.map(issue => issue.code), ['business-rule']);
+});
+
+test('applyJsonPatch rejects prototype path segments without touching Object.prototype', () => {
+    ['/note/__proto__/polluted', '/note/constructor/prototype/polluted', '/status/constructor'].forEach(path => {
+        const issues = issuesOf(() => applyJsonPatch(task(), [{ op: 'add', path, value: true }]));
+        assert.deepEqual(issues, [{ field: '[0].path', code: 'invalid', message: `Path '${path}' is not allowed` }]);
+    });
+    assert.equal({}.polluted, undefined);
+});
+
+test('applyJsonPatch only walks own members', () => {
+    const issues = issuesOf(() => applyJsonPatch(task(), [{ op: 'add', path: '/note/0/toString/x', value: 1 }]));
+    assert.equal(issues[0].code, 'not-found');
+});
+
+test('applyJsonPatch reports malformed operations as issues', () => {
+    const issues = issuesOf(() => applyJsonPatch(task(), [null, 'x', [], { op: 'add' }, { op: 'move', path: '/status', from: '/note' }]));
+    assert.deepEqual(issues.map(issue => [issue.field, issue.code]), [
+        ['[0]', 'invalid'],
+        ['[1]', 'invalid'],
+        ['[2]', 'invalid'],
+        ['[3]', 'invalid'],
+        ['[4].op', 'not-supported']
+    ]);
+});
+
+test('applyJsonPatch needs an existing member for replace, remove and test', () => {
+    const issues = issuesOf(() => applyJsonPatch(task(), [
+        { op: 'replace', path: '/priority', value: 'stat' },
+        { op: 'remove', path: '/note/1' },
+        { op: 'test', path: '/status', value: 'accepted' },
+        { op: 'add', path: '/note/x', value: {} }
+    ]));
+    assert.deepEqual(issues.map(issue => issue.code), ['not-found', 'not-found', 'conflict', 'invalid']);
+});
+
+test('enforceTransition allows workflow moves and fills in the fields that go with them', () => {
+    const next = enforceTransition({ status: 'accepted' }, { status: 'in-progress' });
+    assert.equal(next.businessStatus.text, 'In Progress');
+    assert.ok(next.executionPeriod.start);
+    assert.ok(next.lastModified);
+
+    const completed = enforceTransition({ status: 'in-progress' }, { status: 'completed' }, { outputs: [{ reference: 'Procedure/1', display: 'Meals' }, { text: 'Enrolled' }] });
+    assert.ok(completed.executionPeriod.end);
+    assert.deepEqual(completed.output.map(output => output.valueReference || output.valueString), [{ reference: 'Procedure/1', display: 'Meals' }, 'Enrolled']);
+});
+
+test('enforceTransition rejects moves the workflow does not allow', () => {
+    assert.throws(() => enforceTransition({ status: 'requested' }, { status: 'completed' }), WorkflowError);
+    assert.throws(() => enforceTransition({ status: 'completed' }, { status: 'in-progress' }), WorkflowError);
+    assert.throws(() => enforceTransition({ status: 'requested' }, { status: 'bogus' }), ValidationError);
+});
+
+test('enforceTransition requires a reason for rejected, cancelled and failed', () => {
+    const issues = issuesOf(() => enforceTransition({ status: 'requested' }, { status: 'rejected' }));
+    assert.equal(issues[0].field, 'statusReason');
+    const next = enforceTransition({ status: 'requested' }, { status: 'rejected', statusReason: { text: 'Out of area' } });
+    assert.equal(next.businessStatus.text, 'Rejected');
+});
+
+test('assertReferrerUpdate lets a referrer cancel and comment, and nothing else', () => {
+    const referrer = { roles: ['referrer'] };
+    const previous = task();
+    assert.doesNotThrow(() => assertReferrerUpdate(referrer, previous, { ...previous, status: 'cancelled', statusReason: { text: 'Moved' } }));
+    assert.doesNotThrow(() => assertReferrerUpdate(referrer, previous, { ...previous, note: [...previous.note, { text: 'Called' }] }));
+    assert.throws(() => assertReferrerUpdate(referrer, previous, { ...previous, status: 'accepted' }), AuthorizationError);
+    assert.throws(() => assertReferrerUpdate(referrer, previous, { ...previous, priority: 'stat' }), AuthorizationError);
+    assert.throws(() => assertReferrerUpdate(referrer, previous, previous, [{ text: 'Done' }]), AuthorizationError);
+    assert.doesNotThrow(() => assertReferrerUpdate({ roles: ['referrer', 'cbo-staff'] }, previous, { ...previous, status: 'accepted' }));
+    assert.doesNotThrow(() => assertReferrerUpdate(undefined, previous, { ...previous, status: 'accepted' }));
+});
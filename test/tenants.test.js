@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// tenants.js reads TENANTS_FILE when it is loaded
+const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'tenants-'));
+process.env.TENANTS_FILE = path.join(directory, 'tenants.json');
+fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify([
+    { id: 'north', fhirServerUrl: 'https://north.example/fhir/', corsOrigins: ['https://north.app.example'] },
+    { id: 'south', subdomain: 'southside', fhirServerUrl: 'https://south.example/fhir', corsOrigins: [], resources: ['Task', 'Patient'] },
+    { id: 'east', fhirServerUrl: 'env:TEST_EAST_FHIR_URL', corsOrigins: [] }
+]));
+process.env.TEST_EAST_FHIR_URL = 'https://east.example/fhir/';
+const tenants = require('../tenants');
+const { ServiceError, AuthorizationError } = require('../errors');
+test.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+// Just enough of an Express request for tenant selection
+const request = ({ headers = {}, hostname = 'api.acleap.example', caller } = {}) => ({
+    get: name => headers[name.toLowerCase()],
+    hostname,
+    caller
+});
+
+// The tenant selectTenant attaches to the request, or the error it passes on
+function select(req) {
+    let passed;
+    tenants.selectTenant(req, null, error => {
+        passed = error;
+    });
+    if (passed) {
+        throw passed;
+    }
+    return req.tenant;
+}
+
+test('tenants are loaded from the file with their defaults', () => {
+    assert.deepEqual(tenants.list().map(tenant => [tenant.id, tenant.subdomain, tenant.fhirServerURL, tenant.resources.length]), [
+        ['north', 'north', 'https://north.example/fhir', tenants.RESOURCES.length],
+        ['south', 'southside', 'https://south.example/fhir', 2],
+        ['east', 'east', 'https://east.example/fhir', tenants.RESOURCES.length]
+    ]);
+    assert.equal(tenants.forUrl('https://south.example/fhir/Task/1').id, 'south');
+    assert.equal(tenants.forUrl('https://south.example/fhirx'), null);
+});
+
+test('a tenant whose fhirServerUrl names an unset environment variable is refused', () => {
+    const tenantsFile = process.env.TENANTS_FILE;
+    process.env.TENANTS_FILE = path.join(directory, 'unset.json');
+    fs.writeFileSync(process.env.TENANTS_FILE, JSON.stringify([{ id: 'west', fhirServerUrl: 'env:TEST_WEST_FHIR_URL', corsOrigins: [] }]));
+    delete require.cache[require.resolve('../tenants')];
+    try {
+        assert.throws(() => require('../tenants'), /Tenant 'west' has no fhirServerUrl/);
+    } finally {
+        process.env.TENANTS_FILE = tenantsFile;
+    }
+});
+
+test('a request names its tenant with the header or the first label of its host name', () => {
+    assert.equal(select(request({ headers: { 'x-tenant-id': 'north' } })).id, 'north');
+    assert.equal(select(request({ hostname: 'southside.api.acleap.example' })).id, 'south');
+    assert.equal(select(request({ headers: { 'x-tenant-id': 'south' }, hostname: 'southside.api.acleap.example' })).id, 'south');
+    assert.equal(select(request()), null);
+});
+
+test('an unknown tenant or a header disagreeing with the host name is rejected', () => {
+    assert.throws(() => select(request({ headers: { 'x-tenant-id': 'west' } })), error => error instanceof ServiceError && error.code === 'unknown_tenant');
+    assert.throws(() => select(request({ headers: { 'x-tenant-id': 'north' }, hostname: 'southside.api.acleap.example' })), error => error.code === 'tenant_mismatch');
+});
+
+test('requireTenant needs a tenant and a caller of that tenant', () => {
+    assert.throws(() => tenants.requireTenant(request()), error => error.code === 'tenant_required');
+    const req = request({ headers: { 'x-tenant-id': 'north' }, caller: { tenantId: 'south' } });
+    select(req);
+    assert.throws(() => tenants.requireTenant(req), AuthorizationError);
+    req.caller.tenantId = 'north';
+    assert.equal(tenants.requireTenant(req).id, 'north');
+});
+
+test('CORS origins are those of the request tenant, or of every tenant when it names none', () => {
+    assert.deepEqual(tenants.corsOriginsFor(request({ headers: { 'x-tenant-id': 'north' } })), ['https://north.app.example']);
+    assert.deepEqual(tenants.corsOriginsFor(request({ hostname: 'southside.api.acleap.example' })), []);
+    assert.deepEqual(tenants.corsOriginsFor(request()), ['https://north.app.example']);
+    assert.deepEqual(tenants.corsOriginsFor(request({ headers: { 'x-tenant-id': 'west' } })), ['https://north.app.example']);
+});
+
+test('per-tenant files get the tenant id before their extension', () => {
+    assert.equal(tenants.fileFor('/data/analytics.json', tenants.byId('south')), path.join('/data', 'analytics.south.json'));
+    assert.equal(tenants.fileFor(undefined, tenants.byId('south')), undefined);
+});
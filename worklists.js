@@ -0,0 +1,226 @@
+const fhirClient = require('./fhirClient');
+const providerDirectory = require('./providerDirectory');
+const { fetchPage, fetchAllPages, parsePageSize } = require('./fhirPaging');
+const { TRANSITIONS, TERMINAL_STATUSES } = require('./taskWorkflow');
+const { ServiceError, WorkflowError } = require('./errors');
+
+// Referral worklists and Task ownership. A Task is owned by the performing Organization until a staff
+// member claims it or is assigned it; the owner is then that Practitioner. Releasing hands it back to
+// the Organization. Every ownership change is written as a new Task version with a note saying who
+// made it, so the Task history records it.
+
+const STATUSES = Object.keys(TRANSITIONS);
+const OPEN_STATUSES = STATUSES.filter(status => !TERMINAL_STATUSES.includes(status));
+
+// Task.priority from most to least urgent; Tasks without one are routine
+const PRIORITY_ORDER = ['stat', 'asap', 'urgent', 'routine'];
+
+// Worklist orderings as the FHIR searches that make them up: age is oldest first, -age newest first,
+// priority most urgent first then oldest. FHIR sorts priority by its code rather than its urgency, so
+// that ordering searches each priority in turn; Tasks without one come after the routine ones.
+const SORTS = {
+    'age': [{ '_sort': 'authored-on' }],
+    '-age': [{ '_sort': '-authored-on' }],
+    'priority': [
+        ...PRIORITY_ORDER.map(priority => ({ priority, '_sort': 'authored-on' })),
+        { 'priority:missing': 'true', '_sort': 'authored-on' }
+    ]
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Summary of a Task on a worklist, with the Task itself
+const worklistItem = task => ({
+    id: task.id,
+    status: task.status,
+    businessStatus: task.businessStatus ? task.businessStatus.text : null,
+    priority: task.priority || 'routine',
+    authoredOn: task.authoredOn || null,
+    ageDays: task.authoredOn ? Math.floor((Date.now() - Date.parse(task.authoredOn)) / DAY_MS) : null,
+    owner: task.owner || null,
+    patient: task.for ? task.for.reference : null,
+    serviceRequest: task.focus ? task.focus.reference : null,
+    task
+});
+
+// Read and check the worklist query parameters: status (comma separated, open statuses by default),
+// sort, pageSize and cursor
+function parseWorklistQuery({ status, sort = 'age', pageSize, cursor }) {
+    const statuses = status ? String(status).split(',') : OPEN_STATUSES;
+    const unknown = statuses.filter(s => !STATUSES.includes(s));
+    if (unknown.length > 0) {
+        throw new ServiceError(`Unknown Task status ${unknown.join(', ')}; use ${STATUSES.join(', ')}`, { status: 400, code: 'invalid_status' });
+    }
+    if (!SORTS[sort]) {
+        throw new ServiceError(`sort must be one of: ${Object.keys(SORTS).join(', ')}`, { status: 400, code: 'invalid_sort' });
+    }
+    return { statuses, sort, pageSize: parsePageSize(pageSize), cursor };
+}
+
+// A worklist cursor is the index of the ordering's search it is in, a colon, and the FHIR server's cursor
+// within that search (see fhirPaging.js); without the latter the search starts from its first page
+function parseWorklistCursor(cursor, searches) {
+    if (cursor === undefined) {
+        return { search: 0, serverCursor: undefined };
+    }
+    const separator = String(cursor).indexOf(':');
+    const search = String(cursor).slice(0, separator);
+    if (separator < 0 || !/^\d+$/.test(search) || Number(search) >= searches) {
+        throw new ServiceError('Invalid paging cursor', { status: 400, code: 'invalid_cursor' });
+    }
+    return { search: Number(search), serverCursor: String(cursor).slice(separator + 1) || undefined };
+}
+
+// Number of Tasks matching params in each status. Without filterTasks the FHIR server counts each status
+// (_summary=count). With it, one search reads just the status and patient of the Tasks and counts only those
+// filterTasks keeps, so the counts match what the caller can see.
+async function countByStatus(fhirServerURL, accessToken, params, filterTasks) {
+    if (!filterTasks) {
+        const totals = await Promise.all(STATUSES.map(async status => (await fhirClient.get(`${fhirServerURL}/Task`, {
+            headers: { 'Authorization': `Bearer ${accessToken}` },
+            params: { ...params, status, '_summary': 'count' }
+        })).data.total || 0));
+        return Object.fromEntries(STATUSES.map((status, index) => [status, totals[index]]));
+    }
+    const counts = Object.fromEntries(STATUSES.map(status => [status, 0]));
+    await fetchAllPages(fhirServerURL, accessToken, 'Task', { params: { ...params, '_elements': 'status,for' } }, async page => {
+        const entries = page.entry.filter(entry => entry.resource.resourceType === 'Task');
+        (await filterTasks(entries)).forEach(({ resource }) => {
+            if (counts[resource.status] !== undefined) {
+                counts[resource.status] += 1;
+            }
+        });
+    });
+    return counts;
+}
+
+// A worklist: one page of the Tasks matching params in the requested statuses, sorted by the FHIR server,
+// with the number of Tasks in each status on the first page (counts and total are null on the pages after it).
+// filterTasks may drop Tasks the caller may not see (see patientConsent.js), so a page can be shorter than
+// pageSize. cursorScope binds the cursors to the caller.
+async function getWorklist(fhirServerURL, accessToken, params, query, { filterTasks, cursorScope } = {}) {
+    const { statuses, sort, pageSize, cursor } = parseWorklistQuery(query);
+    const searches = SORTS[sort];
+    let { search, serverCursor } = parseWorklistCursor(cursor, searches.length);
+    const tasks = [];
+    let nextCursor = null;
+    // Fill the page from the ordering's searches in turn, moving to the next one when a search runs out
+    while (search < searches.length && tasks.length < pageSize) {
+        const page = await fetchPage(fhirServerURL, accessToken, 'Task', {
+            pageSize: pageSize - tasks.length,
+            cursor: serverCursor,
+            params: { ...params, status: statuses.join(','), ...searches[search] },
+            cursorScope,
+            total: false
+        });
+        const found = page.entry.filter(entry => entry.resource.resourceType === 'Task');
+        const entries = filterTasks ? await filterTasks(found) : found;
+        tasks.push(...entries.map(entry => entry.resource));
+        if (page.nextCursor) {
+            nextCursor = `${search}:${page.nextCursor}`;
+            break;
+        }
+        search += 1;
+        serverCursor = undefined;
+        nextCursor = search < searches.length ? `${search}:` : null;
+    }
+
+    // Counting reads every Task of the list when some are withheld, so it is done once, for the first page
+    const counts = cursor === undefined ? await countByStatus(fhirServerURL, accessToken, params, filterTasks) : null;
+    return {
+        counts,
+        total: counts ? statuses.reduce((sum, status) => sum + counts[status], 0) : null,
+        tasks: tasks.map(worklistItem),
+        nextCursor
+    };
+}
+
+// Search parameters of an Organization's worklist: the Tasks of the referrals it performs.
+// owner narrows them to unassigned Tasks or to those of one Practitioner.
+function organizationWorklistParams(organizationId, owner) {
+    const params = { 'focus:ServiceRequest.performer': `Organization/${organizationId}` };
+    if (owner === 'unassigned') {
+        params.owner = `Organization/${organizationId}`;
+    } else if (owner) {
+        params.owner = `Practitioner/${owner}`;
+    }
+    return params;
+}
+
+// The Organization that performs the Task's referral
+async function performerOf(fhirServerURL, accessToken, task) {
+    const focus = task.focus && task.focus.reference;
+    if (!focus || !focus.startsWith('ServiceRequest/')) {
+        throw new ServiceError(`Task '${task.id}' is not linked to a ServiceRequest`, { status: 409, code: 'task_without_referral' });
+    }
+    const serviceRequest = (await fhirClient.get(`${fhirServerURL}/${focus}`, {
+        headers: { 'Authorization': `Bearer ${accessToken}` }
+    })).data;
+    const performer = (serviceRequest.performer || []).find(p => /^Organization\//.test(p.reference));
+    if (!performer) {
+        throw new ServiceError(`${focus} has no performing Organization`, { status: 409, code: 'task_without_referral' });
+    }
+    return performer;
+}
+
+// The Practitioner from the provider directory, provided they hold an active PractitionerRole at the Organization
+async function staffMember(fhirServerURL, practitionerId, organizationReference) {
+    const practitioner = await providerDirectory.getById(fhirServerURL, 'Practitioner', practitionerId);
+    if (!practitioner || !practitioner.active || !practitioner.roles.some(role => role.organization && role.organization.reference === organizationReference)) {
+        throw new ServiceError(`Practitioner/${practitionerId} has no active role at ${organizationReference}`, { status: 400, code: 'invalid_assignee' });
+    }
+    return practitioner;
+}
+
+// Change the owner of an open Task. action is claim, reassign or release; assignee is the Practitioner id
+// for claim and reassign. author ({ authorReference } or { authorString }) is who made the change, for the note.
+// Returns the updated Task.
+async function changeOwner(fhirServerURL, accessToken, taskId, { action, assignee, author }) {
+    const taskUrl = `${fhirServerURL}/Task/${encodeURIComponent(taskId)}`;
+    const headers = { 'Authorization': `Bearer ${accessToken}` };
+    const current = (await fhirClient.get(taskUrl, { headers })).data;
+    if (TERMINAL_STATUSES.includes(current.status)) {
+        throw new WorkflowError(`Task '${taskId}' is ${current.status}, its owner can no longer change`, { code: 'task_closed' });
+    }
+
+    const organization = await performerOf(fhirServerURL, accessToken, current);
+    const currentOwner = current.owner ? current.owner.reference : null;
+    let owner;
+    if (action === 'release') {
+        owner = { reference: organization.reference, display: organization.display };
+    } else {
+        const practitioner = await staffMember(fhirServerURL, assignee, organization.reference);
+        owner = { reference: practitioner.reference, display: practitioner.name };
+    }
+    if (currentOwner === owner.reference) {
+        return current; // nothing changes, e.g. a repeated claim
+    }
+    // Tasks created before ownership was tracked have a placeholder owner; only a Practitioner counts as a claim
+    if (action === 'claim' && currentOwner && currentOwner.startsWith('Practitioner/')) {
+        throw new WorkflowError(`Task '${taskId}' is already claimed by ${currentOwner}; it has to be released or reassigned first`, {
+            code: 'task_already_claimed',
+            details: { owner: current.owner }
+        });
+    }
+
+    const next = JSON.parse(JSON.stringify(current));
+    next.owner = owner;
+    next.lastModified = new Date().toISOString();
+    const ownerText = action === 'release' ? `Released to ${owner.reference}` : `${action === 'claim' ? 'Claimed by' : 'Reassigned to'} ${owner.reference}`;
+    next.note = [...(next.note || []), {
+        ...author,
+        time: next.lastModified,
+        text: `${ownerText} (previous owner ${currentOwner || 'none'})`
+    }];
+
+    const response = await fhirClient.put(taskUrl, next, {
+        headers: { ...headers, 'Content-Type': 'application/fhir+json', 'If-Match': `W/"${current.meta.versionId}"` }
+    });
+    return response.data;
+}
+
+module.exports = {
+    getWorklist,
+    organizationWorklistParams,
+    changeOwner
+};